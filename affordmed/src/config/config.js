@@ -1,5 +1,63 @@
 require("dotenv").config();
 
+const { logger } = require("../middleware/logger");
+const { UTM_FIELDS } = require("../utils/redirectRules");
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Read the named UTM presets from UTM_PRESETS
+ * Each preset maps UTM fields, with or without the utm_ prefix, to strings.
+ * Malformed JSON or a preset of the wrong shape is logged and leaves no
+ * presets, so a bad value cannot keep the server from starting.
+ */
+function parseUtmPresets(raw) {
+  if (!raw) {
+    return {};
+  }
+
+  let presets;
+  try {
+    presets = JSON.parse(raw);
+  } catch (error) {
+    logger.warn("UTM_PRESETS is not valid JSON, starting without presets", {
+      error: error.message,
+    });
+    return {};
+  }
+
+  if (!isPlainObject(presets)) {
+    logger.warn("UTM_PRESETS is not an object, starting without presets");
+    return {};
+  }
+
+  const parsed = {};
+  for (const [name, tags] of Object.entries(presets)) {
+    const fields = Object.entries(isPlainObject(tags) ? tags : {}).map(
+      ([key, value]) => [key.replace(/^utm_/, ""), value]
+    );
+    const isValid =
+      fields.length > 0 &&
+      fields.every(
+        ([field, value]) =>
+          UTM_FIELDS.includes(field) && typeof value === "string"
+      );
+
+    if (!isValid) {
+      logger.warn("Invalid preset in UTM_PRESETS, starting without presets", {
+        preset: name,
+        fields: UTM_FIELDS,
+      });
+      return {};
+    }
+
+    parsed[name] = Object.fromEntries(fields);
+  }
+
+  return parsed;
+}
+
 const config = {
   // Server Configuration
   server: {
@@ -34,6 +92,46 @@ const config = {
     defaultValidity: 30, // minutes
     maxValidity: 1440, // 24 hours in minutes
     shortcodeLength: 8,
+    maxBatchSize: 500, // URLs per batch request
+    redirectStatusCodes: [301, 302, 307, 308],
+    defaultRedirectStatus:
+      parseInt(process.env.DEFAULT_REDIRECT_STATUS, 10) || 302,
+    permanentRedirectMaxAge: 60 * 60, // seconds browsers may cache a 301/308
+    qrCodes: {
+      scanParam: "qr", // query marker encoded in QR codes, e.g. /abc?qr=1
+      defaultSize: 256, // pixels
+      minSize: 64,
+      maxSize: 2048,
+    },
+    // Named UTM presets, e.g. {"spring-launch":{"source":"newsletter","medium":"email","campaign":"spring"}}
+    utmPresets: parseUtmPresets(process.env.UTM_PRESETS),
+    loopProtection: {
+      // Destinations on our own domain: "resolve" flattens links that always
+      // go to one place and keeps chains that cannot loop, "reject" refuses them
+      ownLinkPolicy: process.env.OWN_LINK_POLICY || "resolve",
+      maxChain: 5, // own short links a destination may pass through
+      // Other shorteners, whose links could lead back to us
+      knownShorteners: process.env.KNOWN_SHORTENERS
+        ? process.env.KNOWN_SHORTENERS.split(",")
+            .map((domain) => domain.trim().toLowerCase())
+            .filter(Boolean)
+        : [
+            "bit.ly",
+            "tinyurl.com",
+            "t.co",
+            "goo.gl",
+            "ow.ly",
+            "is.gd",
+            "buff.ly",
+            "rebrand.ly",
+            "cutt.ly",
+            "shorturl.at",
+          ],
+    },
+    passwordAttempts: {
+      maxAttempts: 5, // failed password attempts per link and client
+      windowMs: 15 * 60 * 1000, // 15 minutes
+    },
     reservedShortcodes: [
       "api",
       "docs",
@@ -42,9 +140,62 @@ const config = {
       "shorturls",
       "auth",
       "register",
+      "webhooks",
     ],
   },
 
+  // Analytics Configuration
+  analytics: {
+    maxBuckets: 1000, // time-series buckets per request
+    visitorSaltRetention: 2 * 24 * 60 * 60, // seconds a daily visitor salt is kept
+    // User-Agent substrings counted as bots on top of the built-in signatures
+    extraBotSignatures: process.env.BOT_SIGNATURES
+      ? process.env.BOT_SIGNATURES.split(",")
+          .map((signature) => signature.trim())
+          .filter(Boolean)
+      : [],
+    // Range charted when a time-series request has no "from"
+    defaultRanges: {
+      minute: 60 * 60 * 1000, // 1 hour
+      hour: 24 * 60 * 60 * 1000, // 1 day
+      day: 30 * 24 * 60 * 60 * 1000, // 30 days
+      week: 12 * 7 * 24 * 60 * 60 * 1000, // 12 weeks
+    },
+  },
+
+  // Live Click Stream Configuration
+  live: {
+    eventBus: process.env.LIVE_EVENT_BUS || "memory", // in-process only for now
+    heartbeatMs: 15 * 1000, // comment sent to idle streams to keep them open
+    retryMs: 3 * 1000, // how long browsers wait before reconnecting
+    streamTokenTtl: 60, // seconds a stream token may be used to connect
+  },
+
+  // Outgoing Webhook Configuration
+  webhooks: {
+    timeoutMs: 10 * 1000, // per delivery attempt
+    maxAttempts: 8, // attempts before a delivery moves to the dead-letter list
+    retryBaseMs: 30 * 1000, // delay before the first retry, doubled each time
+    retryMaxMs: 6 * 60 * 60 * 1000, // longest delay between two attempts
+    pollIntervalMs: 15 * 1000, // how often due retries and expired links are checked
+    batchSize: 50, // retries or expired links handled per check
+    subscriptionsCacheMs: 30 * 1000, // how long subscriptions are cached in memory
+    maxSubscriptions: 20, // per user
+    deliveryRetention: 7 * 24 * 60 * 60, // seconds delivered deliveries are kept
+    // Private, loopback and link-local targets are refused unless allowed
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === "true",
+  },
+
+  // Destination Screening Configuration
+  screening: {
+    rulesCacheMs: 60 * 1000, // how long blocklist rules are cached in memory
+    reputation: {
+      provider: process.env.REPUTATION_PROVIDER || "none", // "file" or "none"
+      file: process.env.REPUTATION_FILE || null, // hosts file for "file"
+      checkIntervalMs: 60 * 1000, // how often changed data is looked for
+    },
+  },
+
   // Rate Limiting
   rateLimit: {
     windowMs: 15 * 60 * 1000, // 15 minutes
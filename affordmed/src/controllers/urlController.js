@@ -1,16 +1,19 @@
+const { pipeline } = require("stream");
 const urlService = require("../services/urlService");
 const { asyncHandler } = require("../middleware/errorHandler");
 const { logger } = require("../middleware/logger");
+const { renderPasswordPage, renderPreviewPage } = require("../utils/htmlPages");
 
 class UrlController {
   async createShortUrl(req, res) {
     try {
-      const result = await urlService.createShortUrl(req.body);
+      const result = await urlService.createShortUrl(req.body, req.user);
 
       if (!result.success) {
-        return res.status(400).json({
+        return res.status(result.statusCode || 400).json({
           success: false,
           error: result.error,
+          code: result.code,
           details: result.details,
         });
       }
@@ -30,10 +33,67 @@ class UrlController {
     }
   }
 
+  async createShortUrls(req, res) {
+    try {
+      const result = await urlService.createShortUrls(req.body, req.user);
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.data,
+      });
+    } catch (error) {
+      logger.error("Controller error in createShortUrls", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
+  async listUrls(req, res) {
+    try {
+      const result = await urlService.listUrls(req.user, req.query);
+
+      if (!result.success) {
+        const statusCode = result.statusCode || 400;
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.data,
+      });
+    } catch (error) {
+      logger.error("Controller error in listUrls", { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
   async getUrlStats(req, res) {
     try {
       const { shortcode } = req.params;
-      const result = await urlService.getUrlStats(shortcode);
+      const result = await urlService.getUrlStats(
+        shortcode,
+        req.user,
+        req.query
+      );
 
       if (!result.success) {
         const statusCode = result.statusCode || 400;
@@ -57,6 +117,281 @@ class UrlController {
     }
   }
 
+  async getTimeseries(req, res) {
+    try {
+      const { shortcode } = req.params;
+      const result = await urlService.getTimeseries(
+        shortcode,
+        req.user,
+        req.query
+      );
+
+      if (!result.success) {
+        const statusCode = result.statusCode || 400;
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.data,
+      });
+    } catch (error) {
+      logger.error("Controller error in getTimeseries", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
+  async getBreakdowns(req, res) {
+    try {
+      const { shortcode } = req.params;
+      const result = await urlService.getBreakdowns(
+        shortcode,
+        req.user,
+        req.query
+      );
+
+      if (!result.success) {
+        const statusCode = result.statusCode || 400;
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.data,
+      });
+    } catch (error) {
+      logger.error("Controller error in getBreakdowns", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
+  async exportClicks(req, res) {
+    try {
+      const { shortcode } = req.params;
+      const result = await urlService.exportClicks(
+        shortcode,
+        req.user,
+        req.query
+      );
+
+      if (!result.success) {
+        const statusCode = result.statusCode || 400;
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res
+        .status(200)
+        .type(result.data.contentType)
+        .set("Cache-Control", "private, no-store")
+        .set(
+          "Content-Disposition",
+          `attachment; filename="${result.data.filename}"`
+        );
+
+      // The status is already sent, so a failure mid-stream can only cut the
+      // download short; a client disconnecting closes the cursor
+      pipeline(result.data.body, res, (error) => {
+        if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+          logger.error("Click export failed", {
+            shortcode,
+            error: error.message,
+          });
+        }
+      });
+    } catch (error) {
+      logger.error("Controller error in exportClicks", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
+  async createLiveStreamToken(req, res) {
+    try {
+      const { shortcode } = req.params;
+      const result = await urlService.createLiveStreamToken(
+        shortcode,
+        req.user
+      );
+
+      if (!result.success) {
+        const statusCode = result.statusCode || 400;
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res.set("Cache-Control", "no-store").json({
+        success: true,
+        data: result.data,
+      });
+    } catch (error) {
+      logger.error("Controller error in createLiveStreamToken", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
+  async streamLiveClicks(req, res) {
+    try {
+      const { shortcode } = req.params;
+      // The stream token was checked by the authentication middleware
+      const query = { ...req.query };
+      delete query.token;
+      const result = await urlService.openLiveClicks(
+        shortcode,
+        req.user,
+        query
+      );
+
+      if (!result.success) {
+        const statusCode = result.statusCode || 400;
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      const { heartbeatMs, retryMs, subscribe } = result.data;
+      const send = (event, data) =>
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+      // no-transform keeps compression from buffering the events
+      res.status(200).set({
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write(`retry: ${retryMs}\n\n`);
+      send("ready", {
+        shortcode: result.data.shortcode,
+        includesBots: result.data.includesBots,
+      });
+
+      // Comments keep proxies from closing a stream that has no clicks
+      const heartbeat = setInterval(
+        () => res.write(": heartbeat\n\n"),
+        heartbeatMs
+      );
+      const unsubscribe = subscribe(
+        (event) => send("click", event),
+        () => res.end()
+      );
+
+      res.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        logger.info("Live click stream closed", {
+          shortcode: result.data.shortcode,
+        });
+      });
+    } catch (error) {
+      logger.error("Controller error in streamLiveClicks", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
+  async getQrCode(req, res) {
+    try {
+      const { shortcode } = req.params;
+      const result = await urlService.getQrCode(shortcode, req.user, req.query);
+
+      if (!result.success) {
+        const statusCode = result.statusCode || 400;
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res
+        .status(200)
+        .type(result.data.contentType)
+        .set("Cache-Control", "private, max-age=3600")
+        .set(
+          "Content-Disposition",
+          `inline; filename="${result.data.filename}"`
+        )
+        .send(result.data.body);
+    } catch (error) {
+      logger.error("Controller error in getQrCode", { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
+  async previewUrl(req, res) {
+    try {
+      const { shortcode } = req.params;
+      const result = await urlService.previewUrl(shortcode);
+
+      if (!result.success) {
+        const statusCode = result.statusCode || 400;
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res
+        .status(200)
+        .set("Cache-Control", "no-store")
+        .type("html")
+        .send(renderPreviewPage(result.data));
+    } catch (error) {
+      logger.error("Controller error in previewUrl", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
   async redirectToUrl(req, res) {
     try {
       const { shortcode } = req.params;
@@ -67,10 +402,34 @@ class UrlController {
         return res.status(statusCode).json({
           success: false,
           error: result.error,
+          details: result.details,
         });
       }
 
-      res.redirect(result.data.originalUrl);
+      if (result.data.preview) {
+        return res
+          .status(200)
+          .set("Cache-Control", "no-store")
+          .type("html")
+          .send(renderPreviewPage(result.data.preview));
+      }
+
+      if (result.data.passwordRequired) {
+        return res
+          .status(200)
+          .set("Cache-Control", "no-store")
+          .type("html")
+          .send(
+            renderPasswordPage({
+              shortcode: result.data.shortcode,
+              action: req.originalUrl,
+            })
+          );
+      }
+
+      res
+        .set("Cache-Control", result.data.cacheControl)
+        .redirect(result.data.redirectStatus, result.data.destinationUrl);
     } catch (error) {
       logger.error("Controller error in redirectToUrl", {
         error: error.message,
@@ -82,13 +441,96 @@ class UrlController {
     }
   }
 
+  async updateUrl(req, res) {
+    try {
+      const { shortcode } = req.params;
+      const result = await urlService.updateUrl(shortcode, req.body, req.user);
+
+      if (!result.success) {
+        const statusCode = result.statusCode || 400;
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code,
+          details: result.details,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.data,
+      });
+    } catch (error) {
+      logger.error("Controller error in updateUrl", { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
+  async verifyLinkPassword(req, res) {
+    try {
+      const { shortcode } = req.params;
+      const password = req.body && req.body.password;
+      const result = await urlService.verifyPasswordAndRedirect(
+        shortcode,
+        password,
+        req
+      );
+
+      if (!result.success) {
+        const statusCode = result.statusCode || 400;
+
+        // Wrong password or too many attempts: show the prompt again
+        if (result.passwordRequired) {
+          return res
+            .status(statusCode)
+            .set("Cache-Control", "no-store")
+            .type("html")
+            .send(
+              renderPasswordPage({
+                shortcode,
+                action: req.originalUrl,
+                error: result.error,
+              })
+            );
+        }
+
+        // Links without a password are only followed with GET and HEAD
+        if (statusCode === 405) {
+          res.set("Allow", "GET, HEAD");
+        }
+
+        return res.status(statusCode).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      // 303 so the browser follows the form post with a GET
+      res
+        .set("Cache-Control", "no-store")
+        .redirect(303, result.data.destinationUrl);
+    } catch (error) {
+      logger.error("Controller error in verifyLinkPassword", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
   async deleteUrl(req, res) {
     try {
       const { shortcode } = req.params;
-      const result = await urlService.deleteUrl(shortcode);
+      const result = await urlService.deleteUrl(shortcode, req.user);
 
       if (!result.success) {
-        return res.status(404).json({
+        const statusCode = result.statusCode || 404;
+        return res.status(statusCode).json({
           success: false,
           error: result.error,
         });
@@ -135,8 +577,31 @@ class UrlController {
           requestBody: {
             url: "string (required) - The long URL to shorten",
             validity:
-              "number (optional) - Expiration time in minutes (default: 30)",
+              "number (optional) - Expiration time in minutes (default: 30), counted from activation",
+            activatesAt:
+              "string (optional) - ISO 8601 time the URL starts redirecting",
+            expiresAt:
+              "string (optional) - ISO 8601 expiry, instead of validity",
             shortcode: "string (optional) - Custom shortcode",
+            maxClicks:
+              "number (optional) - Stop redirecting after this many clicks",
+            password:
+              "string (optional) - Require this password before redirecting",
+            geoRules:
+              "array (optional) - [{ name, countries, regions, url }] evaluated in order; first match wins, else url",
+            deviceRules:
+              "array (optional) - [{ name, devices, os, url }] checked after geoRules; devices: desktop, mobile, tablet",
+            variants:
+              "array (optional) - 2-10 A/B variants [{ name, url, weight }]; clicks matching no rule are split by weight",
+            redirectStatus:
+              "number (optional) - 301, 302, 307 or 308 (default: service default)",
+            passThrough:
+              "boolean (optional) - Forward extra path and query of the short link to the destination (default: false)",
+            utm: "object (optional) - { source, medium, campaign, term, content } added to the destination as utm_* parameters",
+            utmPreset:
+              "string (optional) - Named UTM preset from the service configuration; utm fields override it",
+            utmMode:
+              "string (optional) - preserve (default) keeps utm_* already on the destination, override replaces them",
           },
           response: {
             success: "boolean",
@@ -145,6 +610,10 @@ class UrlController {
               expiry: "string - ISO 8601 timestamp",
             },
           },
+          screening:
+            "Destinations on the blocklist or flagged by the reputation provider are rejected with 422 and code DESTINATION_BLOCKED",
+          loopProtection:
+            "Links to our own short links are resolved to their final destination or rejected (OWN_LINK_DESTINATION, REDIRECT_LOOP); links to known shorteners are rejected (SHORTENER_DESTINATION)",
           example: {
             request: {
               url: "https://example.com/very-long-url",
@@ -160,32 +629,274 @@ class UrlController {
             },
           },
         },
+        "POST /shorturls/batch": {
+          description:
+            "Create up to 500 shortened URLs at once with per-item results",
+          requestBody: {
+            urls: "array (required) - Items shaped like POST /shorturls bodies",
+          },
+          response: {
+            success: "boolean",
+            data: {
+              total: "number - Items received",
+              succeeded: "number - Items shortened",
+              failed: "number - Items rejected",
+              results:
+                "array - { index, success, shortLink, expiry } or { index, success, error, details }",
+            },
+          },
+        },
+        "GET /shorturls": {
+          description: "List your shortened URLs (cursor paginated)",
+          queryParameters: {
+            status:
+              "string (optional) - active, scheduled, expired or deactivated",
+            createdFrom:
+              "string (optional) - ISO 8601 lower bound on createdAt",
+            createdTo: "string (optional) - ISO 8601 upper bound on createdAt",
+            search:
+              "string (optional) - Case-insensitive substring of the original URL",
+            sortBy:
+              "string (optional) - createdAt, expiresAt or clickCount (default: createdAt)",
+            order: "string (optional) - asc or desc (default: desc)",
+            limit: "number (optional) - Page size, 1-100 (default: 20)",
+            cursor: "string (optional) - nextCursor from the previous page",
+          },
+          response: {
+            success: "boolean",
+            data: {
+              items: "array - Short URLs with their click totals",
+              pagination: {
+                limit: "number - Page size",
+                hasMore: "boolean - Whether another page exists",
+                nextCursor: "string|null - Cursor for the next page",
+              },
+            },
+          },
+        },
         "GET /shorturls/:shortcode": {
-          description: "Get URL statistics and analytics",
+          description: "Get URL statistics and analytics (owner only)",
           parameters: {
             shortcode: "string (required) - The shortcode to look up",
+            limit:
+              "number (optional) - Click events per page, 1-500 (default: 50)",
+            cursor:
+              "string (optional) - nextCursor from the previous page of click events",
+            includeBots:
+              "boolean (optional) - Count bot clicks and list their events (default: false)",
           },
           response: {
             success: "boolean",
             data: {
               totalClicks: "number - Total number of clicks",
+              uniqueClicks:
+                "number - Unique visitors, counted once per day from a salted hash of IP and User-Agent",
+              botClicks:
+                "number - Clicks by link-preview bots, crawlers and uptime checkers",
+              includesBots: "boolean - Whether bot clicks are included",
+              qrScans: "number - Clicks that came from scanning the QR code",
               originalUrl: "string - The original long URL",
               createdAt: "string - ISO 8601 timestamp",
               expiry: "string - ISO 8601 timestamp",
+              redirectStatus:
+                "number|null - Redirect status, null when the service default applies",
+              passThrough:
+                "boolean - Whether extra path and query are forwarded",
+              utm: "object|null - UTM tags of the URL",
+              utmPreset: "string|null - UTM preset the tags came from",
+              utmMode: "string - preserve or override",
+              effectiveDestination:
+                "string - Original URL with the UTM tags applied",
+              maxClicks: "number|null - Click limit, null when unlimited",
+              remainingClicks:
+                "number|null - Clicks left before the limit, null when unlimited",
+              geoRules: "array - Geo-targeting rules of the URL",
+              deviceRules: "array - Device-targeting rules of the URL",
+              variants: "array - A/B variants with their weight and clicks",
               clickEvents:
-                "array - Array of click events with geolocation data",
+                "array - Newest click events with geolocation, device, os, browser, destination, matchedRule, variant, isQrScan, isBot and botName",
+              clickEventsPagination:
+                "object - { limit, hasMore, nextCursor } for the next page of click events",
             },
           },
         },
+        "GET /shorturls/:shortcode/qr": {
+          description:
+            "QR code of the short link (owner only); scans are recorded with isQrScan",
+          parameters: {
+            shortcode: "string (required) - The shortcode to encode",
+            format: "string (optional) - svg (default) or png",
+            size: "number (optional) - Width in pixels, 64-2048 (default: 256)",
+            ecc: "string (optional) - Error correction level L, M (default), Q or H",
+            fg: "string (optional) - Foreground hex colour (default: 000000)",
+            bg: "string (optional) - Background hex colour (default: ffffff)",
+          },
+          response: "image/svg+xml or image/png",
+        },
+        "GET /shorturls/:shortcode/analytics/timeseries": {
+          description: "Click counts per time bucket (owner only)",
+          parameters: {
+            shortcode: "string (required) - The shortcode to chart",
+            interval: "string (optional) - minute, hour, day (default) or week",
+            from: "string (optional) - ISO 8601 start of the range (default: recent past for the interval)",
+            to: "string (optional) - ISO 8601 end of the range (default: now)",
+            timezone:
+              "string (optional) - IANA time zone the buckets follow (default: UTC)",
+            includeBots:
+              "boolean (optional) - Count bot clicks (default: false)",
+          },
+          response: {
+            success: "boolean",
+            data: {
+              interval: "string",
+              timezone: "string",
+              from: "string - ISO 8601 timestamp",
+              to: "string - ISO 8601 timestamp",
+              totalClicks: "number - Clicks in the range",
+              buckets:
+                "array - [{ start, clicks, uniqueClicks }] for every bucket in the range, including empty ones",
+            },
+          },
+        },
+        "GET /shorturls/:shortcode/analytics/breakdown": {
+          description:
+            "Top values per dimension with counts and percentages (owner only)",
+          parameters: {
+            shortcode: "string (required) - The shortcode to analyse",
+            dimensions:
+              "string (optional) - Comma-separated list of country, region, city, referrer, device, os, browser, userAgent (default: all)",
+            limit:
+              "number (optional) - Top values per dimension, 1-50 (default: 10)",
+            from: "string (optional) - ISO 8601 start of the range",
+            to: "string (optional) - ISO 8601 end of the range",
+            includeBots:
+              "boolean (optional) - Count bot clicks (default: false)",
+          },
+          response: {
+            success: "boolean",
+            data: {
+              totalClicks: "number - Clicks in the range",
+              breakdowns:
+                "object - Per dimension { items: [{ value, clicks, percentage }], otherClicks, otherPercentage }; referrers are grouped by domain",
+            },
+          },
+        },
+        "GET /shorturls/:shortcode/clicks/export": {
+          description:
+            "Download every click event as CSV or NDJSON, oldest first (owner only)",
+          parameters: {
+            shortcode: "string (required) - The shortcode to export",
+            format: "string (optional) - csv (default) or ndjson",
+            from: "string (optional) - ISO 8601 start of the range",
+            to: "string (optional) - ISO 8601 end of the range",
+            includeBots:
+              "boolean (optional) - Export bot clicks too (default: false)",
+          },
+          response:
+            "text/csv or application/x-ndjson attachment, one click per line with flattened geolocation and User-Agent fields",
+        },
+        "GET /shorturls/:shortcode/live": {
+          description:
+            "Server-Sent Events stream of clicks as they happen (owner only)",
+          parameters: {
+            shortcode: "string (required) - The shortcode to watch",
+            includeBots:
+              "boolean (optional) - Stream bot clicks too (default: false)",
+          },
+          response:
+            "text/event-stream with a ready event, a click event per click (same fields as the stats clickEvents) and heartbeat comments",
+          authentication:
+            "Authorization header, or token (query) - a stream token from POST /shorturls/:shortcode/live/token, for EventSource",
+        },
+        "POST /shorturls/:shortcode/live/token": {
+          description:
+            "Short-lived token that opens the live click stream without an Authorization header, e.g. from a browser's EventSource (owner only)",
+          parameters: {
+            shortcode: "string (required) - The shortcode to watch",
+          },
+          response:
+            "{ token, expiresIn, streamUrl } - connect to streamUrl within expiresIn seconds",
+        },
         "GET /:shortcode": {
-          description: "Redirect to the original URL (tracks click)",
+          description:
+            "Redirect to the original URL (tracks click; bots are flagged, HEAD and prefetch requests are not counted)",
           parameters: {
             shortcode: "string (required) - The shortcode to redirect",
           },
-          response: "HTTP 302 redirect to the original URL",
+          response:
+            "HTTP 301/302/307/308 redirect (per link, default 302) with Cache-Control, or an HTML password prompt for protected links",
+        },
+        "GET /:shortcode+": {
+          description:
+            "Preview page showing the destination, creation and expiry time (no click counted); also GET /:shortcode?preview=1 on links without pass-through",
+          parameters: {
+            shortcode: "string (required) - The shortcode to preview",
+          },
+          response: "HTML page with a continue button to /:shortcode",
+        },
+        "GET /:shortcode/*": {
+          description:
+            "Redirect of a pass-through link: extra path segments are appended to the destination path and extra query parameters merged into its query string (the destination's own parameters win)",
+          parameters: {
+            shortcode: "string (required) - The shortcode to redirect",
+            "*": "string - Path appended to the destination path",
+          },
+          response:
+            "Same as GET /:shortcode; 404 when the link does not have passThrough enabled",
+        },
+        "POST /:shortcode": {
+          description:
+            "Submit the password of a protected link (form field: password)",
+          parameters: {
+            shortcode: "string (required) - The shortcode to unlock",
+          },
+          response:
+            "HTTP 303 redirect on success; the prompt again with 401, or 429 after 5 failed attempts in 15 minutes",
+        },
+        "PATCH /shorturls/:shortcode": {
+          description:
+            "Update destination, validity, active state or metadata (owner only)",
+          parameters: {
+            shortcode: "string (required) - The shortcode to update",
+          },
+          requestBody: {
+            url: "string (optional) - New destination URL",
+            validity:
+              "number (optional) - New expiration in minutes from now (max: 1440)",
+            isActive: "boolean (optional) - Reactivate or deactivate the URL",
+            password:
+              "string|null (optional) - Set a new password, null to remove it",
+            geoRules:
+              "array|null (optional) - Replace the geo rules, null to remove them",
+            deviceRules:
+              "array|null (optional) - Replace the device rules, null to remove them",
+            variants:
+              "array|null (optional) - Replace the A/B variants (clicks kept by name), null to remove them",
+            redirectStatus:
+              "number|null (optional) - 301, 302, 307 or 308, null for the service default",
+            passThrough:
+              "boolean (optional) - Turn path and query pass-through on or off",
+            utm: "object|null (optional) - Replace the UTM tags (together with utmPreset), null to remove them",
+            utmPreset:
+              "string|null (optional) - Replace the UTM tags from a preset, null to remove it",
+            utmMode: "string (optional) - preserve or override",
+            metadata:
+              "object (optional) - String values to set, null to remove a key",
+          },
+          response: {
+            success: "boolean",
+            data: {
+              shortcode: "string - The shortcode",
+              shortLink: "string - The shortened URL",
+              originalUrl: "string - The destination URL",
+              expiry: "string - ISO 8601 timestamp",
+              isActive: "boolean - Whether the URL redirects",
+              metadata: "object - Link metadata",
+            },
+          },
         },
         "DELETE /shorturls/:shortcode": {
-          description: "Delete a shortened URL",
+          description: "Delete a shortened URL (owner only)",
           parameters: {
             shortcode: "string (required) - The shortcode to delete",
           },
@@ -194,6 +905,58 @@ class UrlController {
             message: "string - Success message",
           },
         },
+        "POST /webhooks": {
+          description:
+            "Subscribe a URL to link events; payloads are signed JSON POSTs, retried with exponential backoff",
+          requestBody: {
+            url: "string (required) - HTTP or HTTPS URL receiving the events",
+            events:
+              "array (required) - link.clicked, link.click_threshold, link.expired and/or link.deleted",
+            shortcodes:
+              "array (optional) - Only send events of these links (default: all your links)",
+            clickThresholds:
+              "array (optional) - Click counts that send link.click_threshold (required with that event)",
+            description: "string (optional) - Note for yourself",
+          },
+          response: {
+            success: "boolean",
+            data: {
+              id: "string - Webhook id",
+              secret:
+                "string - Signing secret, only shown here; X-Webhook-Signature is sha256=<hex HMAC-SHA256 of '<X-Webhook-Timestamp>.<body>'>",
+            },
+          },
+        },
+        "GET /webhooks": {
+          description: "List your webhooks (without their secrets)",
+        },
+        "DELETE /webhooks/:webhookId": {
+          description: "Delete a webhook and its deliveries",
+        },
+        "GET /webhooks/:webhookId/deliveries": {
+          description: "List a webhook's deliveries, newest first",
+          queryParameters: {
+            status: "string (optional) - pending, delivered or dead",
+            limit:
+              "number (optional) - Deliveries to return (1-100, default: 20)",
+          },
+        },
+        "GET /webhooks/dead-letters": {
+          description:
+            "List your deliveries that ran out of attempts, most recently failed first",
+          queryParameters: {
+            limit:
+              "number (optional) - Deliveries to return (1-100, default: 20)",
+          },
+        },
+        "POST /webhooks/deliveries/:deliveryId/redeliver": {
+          description:
+            "Send a dead or delivered delivery again now, with a fresh set of attempts",
+          response: {
+            success: "boolean",
+            data: "object - The delivery after the attempt",
+          },
+        },
         "GET /health": {
           description: "Get service health status",
           response: {
@@ -212,8 +975,11 @@ class UrlController {
       },
       errorCodes: {
         400: "Bad Request - Invalid input data",
+        401: "Unauthorized - Missing or invalid access token",
+        403: "Forbidden - You do not own this short URL, or the URL is not active yet",
         404: "Not Found - URL not found",
-        410: "Gone - URL has expired",
+        410: "Gone - URL has expired or reached its click limit",
+        422: "Unprocessable Entity - Destination URL is blocked, is another shortener or would loop (see code)",
         409: "Conflict - Shortcode already exists",
         429: "Too Many Requests - Rate limit exceeded",
         500: "Internal Server Error - Server error",
@@ -223,6 +989,11 @@ class UrlController {
         "Custom shortcodes",
         "URL validity period",
         "Click tracking with geolocation",
+        "Time-series click analytics",
+        "Breakdowns by location, referrer domain and device",
+        "QR codes with scan tracking",
+        "Signed webhooks for clicks, click thresholds, expiry and deletion",
+        "Destination screening against a blocklist and reputation data",
         "Rate limiting",
         "Health checks",
       ],
@@ -0,0 +1,187 @@
+const webhookService = require("../services/webhookService");
+const { logger } = require("../middleware/logger");
+
+class WebhookController {
+  async createWebhook(req, res) {
+    try {
+      const result = await webhookService.createSubscription(
+        req.body,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: result.data,
+        message: result.message,
+      });
+    } catch (error) {
+      logger.error("Controller error in createWebhook", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
+  async listWebhooks(req, res) {
+    try {
+      const result = await webhookService.listSubscriptions(req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.data,
+        message: result.message,
+      });
+    } catch (error) {
+      logger.error("Controller error in listWebhooks", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
+  async deleteWebhook(req, res) {
+    try {
+      const result = await webhookService.deleteSubscription(
+        req.params.webhookId,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.data,
+        message: result.message,
+      });
+    } catch (error) {
+      logger.error("Controller error in deleteWebhook", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
+  async listDeliveries(req, res) {
+    try {
+      const result = await webhookService.listDeliveries(
+        req.params.webhookId,
+        req.user,
+        req.query
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.data,
+        message: result.message,
+      });
+    } catch (error) {
+      logger.error("Controller error in listDeliveries", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
+  async listDeadLetters(req, res) {
+    try {
+      const result = await webhookService.listDeadLetters(req.user, req.query);
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.data,
+        message: result.message,
+      });
+    } catch (error) {
+      logger.error("Controller error in listDeadLetters", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+
+  async redeliver(req, res) {
+    try {
+      const result = await webhookService.redeliver(
+        req.params.deliveryId,
+        req.user
+      );
+
+      if (!result.success) {
+        return res.status(result.statusCode || 400).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.data,
+        message: result.message,
+      });
+    } catch (error) {
+      logger.error("Controller error in redeliver", { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: "Internal server error",
+      });
+    }
+  }
+}
+
+const webhookController = new WebhookController();
+
+module.exports = webhookController;
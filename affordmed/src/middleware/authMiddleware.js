@@ -36,6 +36,42 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate a live click stream by its Authorization header, or by a
+ * stream token in ?token= for browsers' EventSource, which cannot set one
+ */
+const authenticateStream = async (req, res, next) => {
+  const token = req.query.token;
+  if (!token || req.headers.authorization) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const result = await authService.verifyStreamTokenAndGetUser(
+      token,
+      req.params.shortcode
+    );
+
+    if (!result.success) {
+      return res.status(result.statusCode || 401).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    req.user = result.data;
+    next();
+  } catch (error) {
+    logger.error("Stream authentication middleware error", {
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Authentication failed",
+    });
+  }
+};
+
 const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -104,6 +140,7 @@ const logAuthAttempt = (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateStream,
   optionalAuth,
   requireRegistration,
   logAuthAttempt,
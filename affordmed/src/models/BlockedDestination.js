@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+const blockedDestinationSchema = new mongoose.Schema(
+  {
+    // "domain" blocks a host and its subdomains, "pattern" is a regular
+    // expression matched case-insensitively against the full URL
+    type: {
+      type: String,
+      enum: ["domain", "pattern"],
+      required: true,
+    },
+    value: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    createdBy: {
+      type: String,
+      default: "admin",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+blockedDestinationSchema.index({ type: 1, value: 1 }, { unique: true });
+
+// Lowercase domains so lookups can compare hostnames directly
+blockedDestinationSchema.pre("save", function (next) {
+  if (this.type === "domain") {
+    this.value = this.value.toLowerCase().replace(/^\*\./, "");
+  }
+  next();
+});
+
+module.exports = mongoose.model("BlockedDestination", blockedDestinationSchema);
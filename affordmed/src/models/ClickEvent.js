@@ -0,0 +1,131 @@
+const mongoose = require("mongoose");
+
+// One document per redirect, written once and never updated
+const clickEventSchema = new mongoose.Schema(
+  {
+    url: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Url",
+      required: true,
+    },
+    shortcode: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    referrer: {
+      type: String,
+      default: null,
+    },
+    geoLocation: {
+      country: String,
+      countryCode: String,
+      region: String,
+      regionCode: String,
+      city: String,
+    },
+    // Salted hash of IP and User-Agent, rotated daily; never the raw IP
+    visitorId: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    device: {
+      type: String,
+      default: null,
+    },
+    os: {
+      type: String,
+      default: null,
+    },
+    browser: {
+      type: String,
+      default: null,
+    },
+    destination: {
+      type: String,
+      default: null,
+    },
+    matchedRule: {
+      type: String,
+      default: null,
+    },
+    variant: {
+      type: String,
+      default: null,
+    },
+    isQrScan: {
+      type: Boolean,
+      default: false,
+    },
+    // Set when the User-Agent or request matched a bot signature
+    isBot: {
+      type: Boolean,
+      default: false,
+    },
+    botName: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// Newest-first reads per link; shortcode for lookups across link generations
+clickEventSchema.index({ url: 1, timestamp: -1, _id: -1 });
+clickEventSchema.index({ shortcode: 1, timestamp: -1 });
+clickEventSchema.index({ url: 1, visitorId: 1 });
+
+// Static method to append a click event for a URL document
+clickEventSchema.statics.record = function (urlDoc, clickData) {
+  return this.create({
+    ...clickData,
+    url: urlDoc._id,
+    shortcode: urlDoc.shortcode,
+  });
+};
+
+// Static method to read a page of a URL's click events, newest first
+// `before` is the { value, id } position of the last event of the previous
+// page; one extra event is fetched so callers can tell whether more exist
+clickEventSchema.statics.findPage = function (
+  urlId,
+  { limit, before, includeBots = false }
+) {
+  const filter = { url: urlId };
+  if (!includeBots) {
+    filter.isBot = { $ne: true };
+  }
+  if (before) {
+    filter.$or = [
+      { timestamp: { $lt: before.value } },
+      { timestamp: before.value, _id: { $lt: before.id } },
+    ];
+  }
+
+  return this.find(filter)
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+};
+
+// Static method to read matching click events oldest first through a cursor,
+// so exports of any size are never held in memory at once
+clickEventSchema.statics.streamEvents = function (filter) {
+  return this.find(filter)
+    .sort({ timestamp: 1, _id: 1 })
+    .lean()
+    .cursor({ batchSize: 1000 });
+};
+
+module.exports = mongoose.model("ClickEvent", clickEventSchema);
@@ -1,26 +1,80 @@
 const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
 
-const clickEventSchema = new mongoose.Schema(
+const geoRuleSchema = new mongoose.Schema(
   {
-    timestamp: {
-      type: Date,
+    name: {
+      type: String,
+      default: null,
+    },
+    countries: {
+      type: [String],
+      default: [],
+    },
+    regions: {
+      type: [String],
+      default: [],
+    },
+    url: {
+      type: String,
       required: true,
-      default: Date.now,
     },
-    referrer: {
+  },
+  { _id: false }
+);
+
+const variantSchema = new mongoose.Schema(
+  {
+    name: {
       type: String,
-      default: null,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    weight: {
+      type: Number,
+      required: true,
+      min: 1,
     },
-    geoLocation: {
-      country: String,
-      region: String,
-      city: String,
-      ip: String,
+    clicks: {
+      type: Number,
+      default: 0,
     },
-    userAgent: {
+  },
+  { _id: false }
+);
+
+const utmSchema = new mongoose.Schema(
+  {
+    source: { type: String, default: null },
+    medium: { type: String, default: null },
+    campaign: { type: String, default: null },
+    term: { type: String, default: null },
+    content: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const deviceRuleSchema = new mongoose.Schema(
+  {
+    name: {
       type: String,
       default: null,
     },
+    devices: {
+      type: [String],
+      default: [],
+    },
+    os: {
+      type: [String],
+      default: [],
+    },
+    url: {
+      type: String,
+      required: true,
+    },
   },
   { _id: false }
 );
@@ -31,6 +85,7 @@ const urlSchema = new mongoose.Schema(
       type: String,
       required: true,
       unique: true,
+      lowercase: true,
       index: true,
     },
     originalUrl: {
@@ -43,6 +98,11 @@ const urlSchema = new mongoose.Schema(
       default: Date.now,
       index: true,
     },
+    activatesAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
     expiresAt: {
       type: Date,
       required: true,
@@ -53,14 +113,80 @@ const urlSchema = new mongoose.Schema(
       default: true,
       index: true,
     },
+    // Set once the link.expired webhook has been sent for this URL
+    expiryNotifiedAt: {
+      type: Date,
+      default: null,
+    },
     clickCount: {
       type: Number,
       default: 0,
+      index: true,
+    },
+    qrScanCount: {
+      type: Number,
+      default: 0,
+    },
+    // Clicks by bots, counted apart from clickCount
+    botClickCount: {
+      type: Number,
+      default: 0,
+    },
+    geoRules: {
+      type: [geoRuleSchema],
+      default: [],
+    },
+    deviceRules: {
+      type: [deviceRuleSchema],
+      default: [],
+    },
+    variants: {
+      type: [variantSchema],
+      default: [],
+    },
+    redirectStatus: {
+      type: Number,
+      default: null, // null follows the service default
+    },
+    passThrough: {
+      type: Boolean,
+      default: false,
+    },
+    utm: {
+      type: utmSchema,
+      default: null,
+    },
+    utmPreset: {
+      type: String,
+      default: null,
+    },
+    utmMode: {
+      type: String,
+      enum: ["preserve", "override"],
+      default: "preserve",
+    },
+    maxClicks: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // Set when screening disabled the link because a destination got blocked
+    blockedAt: {
+      type: Date,
+      default: null,
+    },
+    blockedReason: {
+      type: String,
+      default: null,
+    },
+    password: {
+      type: String,
+      default: null,
     },
-    clickEvents: [clickEventSchema],
     createdBy: {
       type: String,
       default: "system",
+      index: true,
     },
     metadata: {
       type: Map,
@@ -70,7 +196,13 @@ const urlSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.password;
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
@@ -83,6 +215,24 @@ urlSchema.virtual("isExpired").get(function () {
   return this.expiresAt < new Date();
 });
 
+// Virtual for checking if URL is scheduled but not live yet
+urlSchema.virtual("isPending").get(function () {
+  return Boolean(this.activatesAt) && this.activatesAt > new Date();
+});
+
+// Virtual for clicks left before a click-limited URL stops redirecting
+urlSchema.virtual("remainingClicks").get(function () {
+  if (this.maxClicks == null) {
+    return null;
+  }
+  return Math.max(this.maxClicks - this.clickCount, 0);
+});
+
+// Virtual for checking if URL needs a password before redirecting
+urlSchema.virtual("isPasswordProtected").get(function () {
+  return Boolean(this.password);
+});
+
 // Virtual for short link
 urlSchema.virtual("shortLink").get(function () {
   const config = require("../config/config");
@@ -97,13 +247,43 @@ urlSchema.pre("save", function (next) {
   next();
 });
 
+// Pre-save middleware to hash link password
+urlSchema.pre("save", async function (next) {
+  if (this.isModified("password") && this.password) {
+    this.password = await bcrypt.hash(this.password, 12);
+  }
+  next();
+});
+
+// insertMany skips save middleware, so hash batch passwords here
+urlSchema.pre("insertMany", async function (next, docs) {
+  for (const doc of docs) {
+    if (doc.password) {
+      doc.password = await bcrypt.hash(doc.password, 12);
+    }
+  }
+  next();
+});
+
 // Static method to find by shortcode
-urlSchema.statics.findByShortcode = function (shortcode) {
-  return this.findOne({
+// Only live URLs are returned unless includePending is set, in which case
+// URLs scheduled to activate later are returned as well
+urlSchema.statics.findByShortcode = function (
+  shortcode,
+  { includePending = false } = {}
+) {
+  const now = new Date();
+  const filter = {
     shortcode: shortcode.toLowerCase(),
     isActive: true,
-    expiresAt: { $gt: new Date() },
-  });
+    expiresAt: { $gt: now },
+  };
+
+  if (!includePending) {
+    filter.activatesAt = { $not: { $gt: now } };
+  }
+
+  return this.findOne(filter);
 };
 
 // Static method to check if shortcode exists
@@ -119,17 +299,58 @@ urlSchema.statics.getExpiredUrls = function () {
   });
 };
 
-// Instance method to add click event
-urlSchema.methods.addClickEvent = function (clickData) {
-  this.clickCount += 1;
-  this.clickEvents.push(clickData);
+// Instance method to count a click; the event itself goes to ClickEvent
+// Atomic so concurrent clicks cannot overshoot maxClicks; resolves to the
+// updated document, or null when the click limit has been reached
+urlSchema.methods.incrementClicks = function (clickData) {
+  const filter = {
+    _id: this._id,
+    $or: [
+      { maxClicks: null },
+      { $expr: { $lt: ["$clickCount", "$maxClicks"] } },
+    ],
+  };
+  const inc = { clickCount: 1 };
+  const options = { new: true };
 
-  // Keep only last 100 click events to prevent document size issues
-  if (this.clickEvents.length > 100) {
-    this.clickEvents = this.clickEvents.slice(-100);
+  // Bot clicks are counted apart; they do not use up maxClicks or count
+  // towards QR scans and A/B variants
+  if (clickData.isBot) {
+    return this.constructor.findOneAndUpdate(
+      filter,
+      { $inc: { botClickCount: 1 } },
+      options
+    );
   }
 
-  return this.save();
+  if (clickData.isQrScan) {
+    inc.qrScanCount = 1;
+  }
+
+  // Count the served A/B variant alongside the total
+  if (clickData.variant) {
+    inc["variants.$[served].clicks"] = 1;
+    options.arrayFilters = [{ "served.name": clickData.variant }];
+  }
+
+  return this.constructor.findOneAndUpdate(filter, { $inc: inc }, options);
+};
+
+// Static method to hand legacy "system" URLs over to a real owner
+urlSchema.statics.assignSystemUrls = function (clientID, shortcodes = null) {
+  const filter = { createdBy: "system" };
+  if (shortcodes && shortcodes.length > 0) {
+    filter.shortcode = { $in: shortcodes.map((code) => code.toLowerCase()) };
+  }
+  return this.updateMany(filter, { $set: { createdBy: clientID } });
+};
+
+// Instance method to compare link password
+urlSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) {
+    return false;
+  }
+  return await bcrypt.compare(candidatePassword, this.password);
 };
 
 // Instance method to deactivate URL
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+const config = require("../config/config");
+
+// Random salt for visitor hashes, one per UTC day. Old salts expire, after
+// which the day's hashes can no longer be linked back to an IP address.
+const visitorSaltSchema = new mongoose.Schema(
+  {
+    day: {
+      type: String, // YYYY-MM-DD
+      required: true,
+      unique: true,
+    },
+    salt: {
+      type: String,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: config.analytics.visitorSaltRetention,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model("VisitorSalt", visitorSaltSchema);
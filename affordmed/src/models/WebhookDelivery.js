@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+const config = require("../config/config");
+
+// One event sent to one webhook subscription, with its delivery attempts
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookSubscription",
+      required: true,
+    },
+    createdBy: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // The JSON body sent, unchanged between attempts
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // "pending" until delivered; "dead" once it ran out of attempts, which
+    // puts it on the dead-letter list
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "dead"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lastStatusCode: {
+      type: Number,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    // Delivered deliveries expire; pending and dead ones are kept
+    deliveredAt: {
+      type: Date,
+      default: null,
+      expires: config.webhooks.deliveryRetention,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdBy: 1, status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// A user's webhook endpoint and the link events it receives
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    createdBy: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    events: {
+      type: [String],
+      required: true,
+    },
+    // Only these links trigger the webhook; empty for all of the user's links
+    shortcodes: {
+      type: [String],
+      default: [],
+    },
+    // Click counts that fire link.click_threshold
+    clickThresholds: {
+      type: [Number],
+      default: [],
+    },
+    // Signs the payloads; only shown when the subscription is created
+    secret: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSubscriptionSchema.index({ createdBy: 1, isActive: 1 });
+
+module.exports = mongoose.model(
+  "WebhookSubscription",
+  webhookSubscriptionSchema
+);
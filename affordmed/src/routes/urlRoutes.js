@@ -2,6 +2,7 @@ const express = require("express");
 const urlController = require("../controllers/urlController");
 const {
   authenticate,
+  authenticateStream,
   requireRegistration,
 } = require("../middleware/authMiddleware");
 const { requestLogger } = require("../middleware/logger");
@@ -19,6 +20,22 @@ router.post(
   urlController.createShortUrl
 );
 
+// Create a batch of shortened URLs (protected)
+router.post(
+  "/shorturls/batch",
+  authenticate,
+  requireRegistration,
+  urlController.createShortUrls
+);
+
+// List the caller's shortened URLs (protected)
+router.get(
+  "/shorturls",
+  authenticate,
+  requireRegistration,
+  urlController.listUrls
+);
+
 // Get URL statistics (protected)
 router.get(
   "/shorturls/:shortcode",
@@ -27,6 +44,62 @@ router.get(
   urlController.getUrlStats
 );
 
+// Click counts over time (protected)
+router.get(
+  "/shorturls/:shortcode/analytics/timeseries",
+  authenticate,
+  requireRegistration,
+  urlController.getTimeseries
+);
+
+// Top values per dimension (protected)
+router.get(
+  "/shorturls/:shortcode/analytics/breakdown",
+  authenticate,
+  requireRegistration,
+  urlController.getBreakdowns
+);
+
+// Click event export (protected)
+router.get(
+  "/shorturls/:shortcode/clicks/export",
+  authenticate,
+  requireRegistration,
+  urlController.exportClicks
+);
+
+// Short-lived token for opening the live click stream from a browser (protected)
+router.post(
+  "/shorturls/:shortcode/live/token",
+  authenticate,
+  requireRegistration,
+  urlController.createLiveStreamToken
+);
+
+// Live click stream over Server-Sent Events (protected, header or stream token)
+router.get(
+  "/shorturls/:shortcode/live",
+  authenticateStream,
+  requireRegistration,
+  urlController.streamLiveClicks
+);
+
+// QR code of a short link (protected)
+router.get(
+  "/shorturls/:shortcode/qr",
+  authenticate,
+  requireRegistration,
+  urlController.getQrCode
+);
+
+// Update shortened URL (protected)
+router.patch(
+  "/shorturls/:shortcode",
+  authenticate,
+  requireRegistration,
+  urlController.updateUrl
+);
+
 // Delete shortened URL (protected)
 router.delete(
   "/shorturls/:shortcode",
@@ -41,7 +114,17 @@ router.get("/health", urlController.getHealth);
 // API documentation endpoint (public)
 router.get("/docs", urlController.getDocs);
 
+// Preview page (public - does not count a click)
+router.get("/:shortcode\\+", urlController.previewUrl);
+
 // Redirect endpoint (public - no authentication required)
 router.get("/:shortcode", urlController.redirectToUrl);
 
+// Redirect with extra path segments for pass-through links (public)
+router.get("/:shortcode/*", urlController.redirectToUrl);
+
+// Password form for protected links (public)
+router.post("/:shortcode", urlController.verifyLinkPassword);
+router.post("/:shortcode/*", urlController.verifyLinkPassword);
+
 module.exports = router;
@@ -0,0 +1,35 @@
+const express = require("express");
+const webhookController = require("../controllers/webhookController");
+const {
+  authenticate,
+  requireRegistration,
+} = require("../middleware/authMiddleware");
+const { requestLogger } = require("../middleware/logger");
+
+const router = express.Router();
+
+// Apply request logging middleware to all routes
+router.use(requestLogger);
+
+// Every webhook route is protected
+router.use(authenticate, requireRegistration);
+
+// Create a webhook subscription
+router.post("/", webhookController.createWebhook);
+
+// List the caller's webhook subscriptions
+router.get("/", webhookController.listWebhooks);
+
+// List deliveries that ran out of attempts (before /:webhookId)
+router.get("/dead-letters", webhookController.listDeadLetters);
+
+// Send a delivery again
+router.post("/deliveries/:deliveryId/redeliver", webhookController.redeliver);
+
+// Delete a webhook subscription
+router.delete("/:webhookId", webhookController.deleteWebhook);
+
+// List a webhook's deliveries
+router.get("/:webhookId/deliveries", webhookController.listDeliveries);
+
+module.exports = router;
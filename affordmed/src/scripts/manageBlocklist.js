@@ -0,0 +1,83 @@
+/**
+ * Destination Blocklist Management
+ * Lists, adds and removes blocked domains and URL patterns. Adding an entry
+ * or running a rescan disables live URLs whose destinations are now blocked.
+ *
+ * Usage:
+ *   npm run blocklist -- list
+ *   npm run blocklist -- add <domain|pattern> <value> [reason]
+ *   npm run blocklist -- remove <domain|pattern> <value>
+ *   npm run blocklist -- rescan
+ */
+
+const mongoService = require("../services/mongoService");
+const screeningService = require("../services/screeningService");
+const urlService = require("../services/urlService");
+const { logger } = require("../middleware/logger");
+
+const USAGE =
+  "Usage: manageBlocklist list | add <domain|pattern> <value> [reason] | remove <domain|pattern> <value> | rescan";
+
+async function run(command, args) {
+  switch (command) {
+    case "list": {
+      const entries = await screeningService.listRules();
+      for (const entry of entries) {
+        logger.info("Blocklist entry", {
+          type: entry.type,
+          value: entry.value,
+          reason: entry.reason,
+          createdAt: entry.createdAt,
+        });
+      }
+      return { entries: entries.length };
+    }
+
+    case "add": {
+      const [type, value, ...reason] = args;
+      if (!type || !value) {
+        throw new Error(USAGE);
+      }
+      await screeningService.addRule(type, value, reason.join(" ") || null);
+      const disabledCount = await urlService.disableBlockedUrls();
+      return { type, value, disabledCount };
+    }
+
+    case "remove": {
+      const [type, value] = args;
+      if (!type || !value) {
+        throw new Error(USAGE);
+      }
+      const removed = await screeningService.removeRule(type, value);
+      return { type, value, removed };
+    }
+
+    case "rescan": {
+      const disabledCount = await urlService.disableBlockedUrls();
+      return { disabledCount };
+    }
+
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+
+  mongoService
+    .connect()
+    .then(() => run(command, args))
+    .then(async (summary) => {
+      logger.info("Blocklist command finished", { command, ...summary });
+      await mongoService.disconnect();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      logger.error("Blocklist command failed", { error: error.message });
+      await mongoService.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
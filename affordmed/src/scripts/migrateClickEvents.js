@@ -0,0 +1,103 @@
+/**
+ * Click Event Migration
+ * Moves click events embedded in URL documents (the last 100 per link) into
+ * the ClickEvent collection and removes them from the URL documents. Raw IP
+ * addresses are dropped from moved and already stored click events.
+ * Safe to run again after an interruption: events copied by an earlier run
+ * keep their id and are not copied twice.
+ *
+ * Usage:
+ *   npm run migrate:clicks
+ */
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const mongoService = require("../services/mongoService");
+const Url = require("../models/Url");
+const ClickEvent = require("../models/ClickEvent");
+const { logger } = require("../middleware/logger");
+
+/**
+ * Id of a moved click event, the same on every run
+ * Starts with the click time like any ObjectId; the rest is derived from the
+ * URL and the event's position in the URL's embedded list.
+ */
+function migratedEventId(urlId, position, timestamp) {
+  const id = Buffer.alloc(12);
+  id.writeUInt32BE(Math.floor(new Date(timestamp).getTime() / 1000));
+  crypto
+    .createHash("sha256")
+    .update(`${urlId}:${position}`)
+    .digest()
+    .copy(id, 4, 0, 8);
+  return new mongoose.Types.ObjectId(id);
+}
+
+async function migrate() {
+  // clickEvents is no longer in the Url schema, so read the raw documents
+  const cursor = Url.collection.find(
+    { "clickEvents.0": { $exists: true } },
+    { projection: { shortcode: 1, clickEvents: 1 } }
+  );
+
+  let migratedCount = 0;
+  for await (const urlDoc of cursor) {
+    const events = urlDoc.clickEvents.map((event, position) => {
+      const geoLocation = { ...event.geoLocation };
+      delete geoLocation.ip;
+      return {
+        ...event,
+        _id: migratedEventId(urlDoc._id, position, event.timestamp),
+        geoLocation,
+        url: urlDoc._id,
+        shortcode: urlDoc.shortcode,
+      };
+    });
+
+    try {
+      await ClickEvent.insertMany(events, { ordered: false });
+    } catch (error) {
+      // Duplicates were copied by a run that stopped before the $unset below
+      const writeErrors = error.writeErrors || [];
+      const onlyDuplicates =
+        writeErrors.length > 0 &&
+        writeErrors.every(
+          (writeError) => (writeError.err || writeError).code === 11000
+        );
+      if (!onlyDuplicates) {
+        throw error;
+      }
+    }
+    await Url.collection.updateOne(
+      { _id: urlDoc._id },
+      { $unset: { clickEvents: "" } }
+    );
+    migratedCount += events.length;
+  }
+
+  // geoLocation.ip is no longer in the schema, so unset it on the raw documents
+  await ClickEvent.collection.updateMany(
+    { "geoLocation.ip": { $exists: true } },
+    { $unset: { "geoLocation.ip": "" } }
+  );
+
+  return migratedCount;
+}
+
+if (require.main === module) {
+  mongoService
+    .connect()
+    .then(() => migrate())
+    .then(async (migratedCount) => {
+      logger.info("Click event migration finished", { migratedCount });
+      await mongoService.disconnect();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      logger.error("Click event migration failed", { error: error.message });
+      await mongoService.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,53 @@
+/**
+ * URL Ownership Migration
+ * Assigns URLs created before ownership tracking ("system" links) to a user
+ *
+ * Usage:
+ *   npm run migrate:ownership -- <clientID> [shortcode1,shortcode2,...]
+ */
+
+const mongoService = require("../services/mongoService");
+const urlService = require("../services/urlService");
+const User = require("../models/User");
+const { logger } = require("../middleware/logger");
+
+async function migrate(clientID, shortcodes) {
+  const owner = await User.findByClientID(clientID);
+  if (!owner) {
+    throw new Error(`No registered user found for clientID ${clientID}`);
+  }
+
+  return urlService.migrateSystemUrls(clientID, shortcodes);
+}
+
+if (require.main === module) {
+  const [clientID, shortcodeList] = process.argv.slice(2);
+
+  if (!clientID) {
+    logger.error("Usage: migrateUrlOwnership <clientID> [shortcodes]");
+    process.exit(1);
+  }
+
+  const shortcodes = shortcodeList
+    ? shortcodeList
+        .split(",")
+        .map((code) => code.trim())
+        .filter(Boolean)
+    : null;
+
+  mongoService
+    .connect()
+    .then(() => migrate(clientID, shortcodes))
+    .then(async (migratedCount) => {
+      logger.info("Ownership migration finished", { clientID, migratedCount });
+      await mongoService.disconnect();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      logger.error("Ownership migration failed", { error: error.message });
+      await mongoService.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -6,8 +6,13 @@ const rateLimit = require("express-rate-limit");
 
 const config = require("./config/config");
 const mongoService = require("./services/mongoService");
+const liveClicksService = require("./services/liveClicks");
+const webhookService = require("./services/webhookService");
+const screeningService = require("./services/screeningService");
+const urlService = require("./services/urlService");
 const urlRoutes = require("./routes/urlRoutes");
 const authRoutes = require("./routes/authRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
 const { logger, errorLogger } = require("./middleware/logger");
 const {
   notFoundHandler,
@@ -37,7 +42,7 @@ class Server {
       cors({
         origin: config.cors.allowedOrigins,
         credentials: true,
-        methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+        methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
         allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
       })
     );
@@ -102,6 +107,9 @@ class Server {
     // Authentication routes
     this.app.use("/auth", authRoutes);
 
+    // Webhook routes, before the shortcode routes catch /webhooks
+    this.app.use("/webhooks", webhookRoutes);
+
     // URL shortening routes
     this.app.use("/", urlRoutes);
 
@@ -136,6 +144,11 @@ class Server {
       logger.info(`Received ${signal}. Starting graceful shutdown...`);
 
       try {
+        // End live click streams, which would otherwise keep the server open
+        liveClicksService.closeAll();
+        webhookService.stop();
+        screeningService.stopReputationWatch();
+
         // Close database connections
         await mongoService.disconnect();
         logger.info("Database connections closed");
@@ -213,12 +226,46 @@ class Server {
           "GET /auth/verify": "Verify token (protected)",
           "GET /auth/profile": "Get user profile (protected)",
           "POST /shorturls": "Create shortened URL (protected)",
+          "POST /shorturls/batch": "Create shortened URLs in bulk (protected)",
+          "GET /shorturls": "List your shortened URLs (protected)",
           "GET /shorturls/:shortcode": "Get URL statistics (protected)",
+          "GET /shorturls/:shortcode/qr": "Get QR code of a URL (protected)",
+          "GET /shorturls/:shortcode/analytics/timeseries":
+            "Get click counts over time (protected)",
+          "GET /shorturls/:shortcode/analytics/breakdown":
+            "Get top countries, referrers and devices (protected)",
+          "GET /shorturls/:shortcode/clicks/export":
+            "Export click events as CSV or NDJSON (protected)",
+          "GET /shorturls/:shortcode/live":
+            "Stream clicks as they happen over SSE (protected)",
+          "POST /shorturls/:shortcode/live/token":
+            "Get a short-lived token for the live stream (protected)",
+          "PATCH /shorturls/:shortcode": "Update shortened URL (protected)",
+          "GET /:shortcode+": "Preview URL without redirecting (public)",
           "GET /:shortcode": "Redirect to original URL (public)",
+          "GET /:shortcode/*": "Redirect with pass-through path (public)",
+          "POST /:shortcode": "Unlock password-protected URL (public)",
           "DELETE /shorturls/:shortcode": "Delete shortened URL (protected)",
           "GET /health": "Health check (public)",
           "GET /docs": "API documentation (public)",
+          "POST /webhooks": "Create a webhook (protected)",
+          "GET /webhooks": "List your webhooks (protected)",
+          "DELETE /webhooks/:webhookId": "Delete a webhook (protected)",
+          "GET /webhooks/:webhookId/deliveries":
+            "List a webhook's deliveries (protected)",
+          "GET /webhooks/dead-letters":
+            "List deliveries that ran out of attempts (protected)",
+          "POST /webhooks/deliveries/:deliveryId/redeliver":
+            "Send a webhook delivery again (protected)",
         });
+
+        // Send due webhook retries and link.expired events in the background
+        webhookService.start();
+
+        // Disable live links once new reputation data flags their destinations
+        screeningService.startReputationWatch(() =>
+          urlService.disableBlockedUrls()
+        );
       });
 
       return this.server;
@@ -230,6 +277,9 @@ class Server {
 
  
   async stop() {
+    webhookService.stop();
+    screeningService.stopReputationWatch();
+
     if (this.server) {
       return new Promise((resolve) => {
         this.server.close(() => {
@@ -0,0 +1,220 @@
+const ClickEvent = require("../models/ClickEvent");
+const { bucketStarts } = require("../utils/timeBuckets");
+const { BREAKDOWN_FIELDS } = require("../utils/breakdowns");
+
+// Date parts each bucket keeps; weeks are ISO weeks starting on Monday
+const BUCKET_PARTS = {
+  minute: ["year", "month", "day", "hour", "minute"],
+  hour: ["year", "month", "day", "hour"],
+  day: ["year", "month", "day"],
+  week: ["isoWeekYear", "isoWeek"],
+};
+
+// Scheme, optional credentials and "www." before the host of a referrer URL
+const REFERRER_HOST_PATTERN =
+  "^[a-z][a-z0-9+.-]*://(?:[^@/]*@)?(?:www\\.)?([^:/?#]+)";
+
+class AnalyticsService {
+  /**
+   * Aggregation expression for the start of an event's bucket
+   * $dateToParts/$dateFromParts work on MongoDB 4.4, unlike $dateTrunc
+   */
+  _bucketExpression(interval, timezone) {
+    const parts = { timezone };
+    for (const part of BUCKET_PARTS[interval]) {
+      parts[part] = `$parts.${part}`;
+    }
+    if (interval === "week") {
+      parts.isoDayOfWeek = 1;
+    }
+    return { $dateFromParts: parts };
+  }
+
+  /**
+   * Aggregation expression for the referrer's domain
+   * Clicks without a referrer count as "direct"; referrers that are not URLs
+   * count as unknown (null)
+   */
+  _referrerDomainExpression() {
+    return {
+      $let: {
+        vars: {
+          match: {
+            $regexFind: {
+              input: { $ifNull: ["$referrer", ""] },
+              regex: REFERRER_HOST_PATTERN,
+              options: "i",
+            },
+          },
+        },
+        in: {
+          $cond: [
+            { $ne: ["$$match", null] },
+            { $toLower: { $arrayElemAt: ["$$match.captures", 0] } },
+            {
+              $cond: [
+                { $in: [{ $ifNull: ["$referrer", ""] }, ["", "Direct"]] },
+                "direct",
+                null,
+              ],
+            },
+          ],
+        },
+      },
+    };
+  }
+
+  /**
+   * Aggregation expression for the value of a breakdown dimension
+   */
+  _dimensionExpression(dimension) {
+    if (dimension === "referrer") {
+      return this._referrerDomainExpression();
+    }
+    return `$${BREAKDOWN_FIELDS[dimension]}`;
+  }
+
+  /**
+   * Query filter for a URL's clicks, optionally limited to [from, to)
+   * Bot clicks are left out unless includeBots is set; events stored before
+   * bot filtering have no isBot flag and count as visitors
+   */
+  clickFilter(urlDoc, { from, to, includeBots = false } = {}) {
+    const match = { url: urlDoc._id };
+    if (from || to) {
+      match.timestamp = {};
+      if (from) match.timestamp.$gte = from;
+      if (to) match.timestamp.$lt = to;
+    }
+    if (!includeBots) {
+      match.isBot = { $ne: true };
+    }
+    return match;
+  }
+
+  /**
+   * Top values of each dimension among a URL's clicks, with percentages of
+   * all clicks in the range; all dimensions come from one $facet aggregation
+   */
+  async getBreakdowns(urlDoc, { dimensions, limit, from, to, includeBots }) {
+    const facets = { total: [{ $count: "clicks" }] };
+    for (const dimension of dimensions) {
+      facets[dimension] = [
+        {
+          $group: {
+            _id: this._dimensionExpression(dimension),
+            clicks: { $sum: 1 },
+          },
+        },
+        { $sort: { clicks: -1, _id: 1 } },
+        { $limit: limit },
+      ];
+    }
+
+    const [result] = await ClickEvent.aggregate([
+      { $match: this.clickFilter(urlDoc, { from, to, includeBots }) },
+      { $facet: facets },
+    ]);
+
+    const totalClicks = result.total.length > 0 ? result.total[0].clicks : 0;
+    const percentage = (clicks) =>
+      totalClicks > 0 ? Math.round((clicks / totalClicks) * 10000) / 100 : 0;
+
+    const breakdowns = {};
+    for (const dimension of dimensions) {
+      const items = result[dimension].map(({ _id, clicks }) => ({
+        value: _id ?? null,
+        clicks,
+        percentage: percentage(clicks),
+      }));
+      const otherClicks =
+        totalClicks - items.reduce((sum, item) => sum + item.clicks, 0);
+
+      breakdowns[dimension] = {
+        items,
+        otherClicks,
+        otherPercentage: percentage(otherClicks),
+      };
+    }
+
+    return { totalClicks, breakdowns };
+  }
+
+  /**
+   * Count a URL's unique visitors
+   * Visitor IDs rotate daily, so a visitor counts once per day they click
+   */
+  async countUniqueVisitors(urlDoc, { includeBots } = {}) {
+    const match = this.clickFilter(urlDoc, { includeBots });
+    match.visitorId = { $ne: null };
+
+    const [result] = await ClickEvent.aggregate([
+      { $match: match },
+      { $group: { _id: "$visitorId" } },
+      { $count: "visitors" },
+    ]);
+    return result ? result.visitors : 0;
+  }
+
+  /**
+   * Count a URL's clicks and unique visitors per bucket over [from, to)
+   * Buckets without clicks are included with counts of 0
+   */
+  async getTimeseries(urlDoc, { interval, from, to, timezone, includeBots }) {
+    const results = await ClickEvent.aggregate([
+      { $match: this.clickFilter(urlDoc, { from, to, includeBots }) },
+      {
+        $project: {
+          visitorId: 1,
+          parts: {
+            $dateToParts: {
+              date: "$timestamp",
+              timezone,
+              iso8601: interval === "week",
+            },
+          },
+        },
+      },
+      {
+        $group: {
+          _id: this._bucketExpression(interval, timezone),
+          clicks: { $sum: 1 },
+          visitors: { $addToSet: "$visitorId" },
+        },
+      },
+      {
+        $project: {
+          clicks: 1,
+          uniqueClicks: {
+            $size: {
+              $filter: {
+                input: "$visitors",
+                cond: { $ne: ["$$this", null] },
+              },
+            },
+          },
+        },
+      },
+    ]);
+
+    const counts = new Map(
+      results.map((result) => [result._id.getTime(), result])
+    );
+
+    const buckets = bucketStarts(from, to, interval, timezone).map((start) => {
+      const bucket = counts.get(start.getTime());
+      return {
+        start: start.toISOString(),
+        clicks: bucket ? bucket.clicks : 0,
+        uniqueClicks: bucket ? bucket.uniqueClicks : 0,
+      };
+    });
+
+    return {
+      totalClicks: buckets.reduce((sum, bucket) => sum + bucket.clicks, 0),
+      buckets,
+    };
+  }
+}
+
+module.exports = new AnalyticsService();
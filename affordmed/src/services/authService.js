@@ -1,6 +1,7 @@
 const User = require("../models/User");
 const {
   generateToken,
+  verifyStreamToken,
   generateClientCredentials,
   getTokenExpiration,
 } = require("../utils/authUtils");
@@ -292,6 +293,44 @@ class AuthService {
       };
     }
   }
+
+  /**
+   * Verify a live stream token for a shortcode and get its user
+   */
+  async verifyStreamTokenAndGetUser(token, shortcode) {
+    try {
+      const decoded = verifyStreamToken(token, shortcode);
+
+      if (!decoded) {
+        return {
+          success: false,
+          error: "Invalid stream token",
+          statusCode: 401,
+        };
+      }
+
+      const user = await User.findByClientID(decoded.clientID);
+      if (!user) {
+        return {
+          success: false,
+          error: "User not found",
+          statusCode: 401,
+        };
+      }
+
+      return {
+        success: true,
+        data: user,
+      };
+    } catch (error) {
+      logger.error("Failed to verify stream token", { error: error.message });
+      return {
+        success: false,
+        error: "Token verification failed",
+        details: error.message,
+      };
+    }
+  }
 }
 
 // Create singleton instance
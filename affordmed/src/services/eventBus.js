@@ -0,0 +1,65 @@
+const { EventEmitter } = require("events");
+const { logger } = require("../middleware/logger");
+
+/**
+ * Event buses carry messages from publishers to subscribers by channel.
+ *
+ * A bus is any object with:
+ *   name: string
+ *   publish(channel: string, message: object): Promise<void> | void
+ *   subscribe(channel: string, listener: (message) => void): () => void
+ *
+ * subscribe returns a function that removes the listener again. Messages
+ * must survive JSON serialization, so a shared broker can carry them between
+ * instances.
+ */
+
+/**
+ * Bus within one process
+ * Subscribers only hear messages published by the same instance; a shared
+ * broker is needed once several instances serve the redirects.
+ */
+class InProcessEventBus {
+  constructor() {
+    this.name = "memory";
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  publish(channel, message) {
+    this.emitter.emit(channel, message);
+  }
+
+  subscribe(channel, listener) {
+    // A failing listener must not keep the others from being called
+    const safeListener = (message) => {
+      try {
+        listener(message);
+      } catch (error) {
+        logger.error("Event listener failed", {
+          channel,
+          error: error.message,
+        });
+      }
+    };
+
+    this.emitter.on(channel, safeListener);
+    return () => this.emitter.off(channel, safeListener);
+  }
+}
+
+/**
+ * Build the bus selected in the configuration
+ */
+function createEventBus({ type }) {
+  if (type && type !== "memory") {
+    logger.warn("Unknown event bus, using the in-process bus", { type });
+  }
+
+  return new InProcessEventBus();
+}
+
+module.exports = {
+  InProcessEventBus,
+  createEventBus,
+};
@@ -64,7 +64,8 @@ class GeoIpService {
       });
 
       if (response.data && response.data.status === "success") {
-        const { country, regionName, city } = response.data;
+        const { country, countryCode, region, regionName, city } =
+          response.data;
 
         logger.debug("Geolocation data retrieved", {
           ip,
@@ -75,7 +76,9 @@ class GeoIpService {
 
         return {
           country: country || "Unknown",
+          countryCode: countryCode || null,
           region: regionName || "Unknown",
+          regionCode: region || null,
           city: city || "Unknown",
           ip: ip,
         };
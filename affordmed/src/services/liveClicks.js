@@ -0,0 +1,71 @@
+const { createEventBus } = require("./eventBus");
+const config = require("../config/config");
+const { logger } = require("../middleware/logger");
+
+class LiveClicksService {
+  constructor() {
+    this.bus = createEventBus({ type: config.live.eventBus });
+    this.subscriptions = new Set();
+  }
+
+  /**
+   * Replace the event bus, e.g. with a shared broker
+   */
+  setEventBus(bus) {
+    this.bus = bus;
+  }
+
+  /**
+   * Channel of a URL's clicks; keyed by document so a reused shortcode does
+   * not see the clicks of an earlier link
+   */
+  _channel(urlDoc) {
+    return `clicks:${urlDoc._id}`;
+  }
+
+  /**
+   * Publish a recorded click to the URL's live subscribers
+   * A failing bus is logged; the visitor is redirected regardless
+   */
+  async publish(urlDoc, clickEvent) {
+    try {
+      await this.bus.publish(this._channel(urlDoc), clickEvent);
+    } catch (error) {
+      logger.error("Failed to publish live click", {
+        shortcode: urlDoc.shortcode,
+        bus: this.bus.name,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Receive a URL's clicks as they are recorded
+   * onClose is called if the service ends the subscription on shutdown.
+   * Returns a function that ends the subscription.
+   */
+  subscribe(urlDoc, onClick, onClose = () => {}) {
+    const unsubscribe = this.bus.subscribe(this._channel(urlDoc), onClick);
+    const subscription = { unsubscribe, onClose };
+    this.subscriptions.add(subscription);
+
+    return () => {
+      if (this.subscriptions.delete(subscription)) {
+        unsubscribe();
+      }
+    };
+  }
+
+  /**
+   * End every subscription, e.g. so the server can shut down
+   */
+  closeAll() {
+    for (const subscription of [...this.subscriptions]) {
+      this.subscriptions.delete(subscription);
+      subscription.unsubscribe();
+      subscription.onClose();
+    }
+  }
+}
+
+module.exports = new LiveClicksService();
@@ -0,0 +1,51 @@
+const QRCode = require("qrcode");
+const config = require("../config/config");
+
+class QrCodeService {
+  constructor() {
+    this.scanParam = config.shortener.qrCodes.scanParam;
+  }
+
+  /**
+   * Build the URL encoded in a QR code, marked so scans can be told apart
+   */
+  getScanUrl(shortLink) {
+    const url = new URL(shortLink);
+    url.searchParams.set(this.scanParam, "1");
+    return url.toString();
+  }
+
+  /**
+   * Check whether a request came from scanning one of our QR codes
+   */
+  isScan(req) {
+    return Boolean(req && req.query && req.query[this.scanParam] === "1");
+  }
+
+  /**
+   * Render a QR code as SVG or PNG, in-process
+   * Resolves to { contentType, body }
+   */
+  async generate(text, { format, size, ecc, fg, bg }) {
+    const options = {
+      errorCorrectionLevel: ecc,
+      width: size,
+      margin: 4,
+      color: { dark: fg, light: bg },
+    };
+
+    if (format === "png") {
+      return {
+        contentType: "image/png",
+        body: await QRCode.toBuffer(text, { ...options, type: "png" }),
+      };
+    }
+
+    return {
+      contentType: "image/svg+xml",
+      body: await QRCode.toString(text, { ...options, type: "svg" }),
+    };
+  }
+}
+
+module.exports = new QrCodeService();
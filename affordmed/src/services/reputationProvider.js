@@ -0,0 +1,122 @@
+const fs = require("fs");
+const { logger } = require("../middleware/logger");
+
+/**
+ * Reputation providers tell whether a destination is known to be malicious.
+ *
+ * A provider is any object with:
+ *   name: string
+ *   lookup(url: URL): Promise<{ reason: string } | null>
+ *
+ * lookup resolves to null for URLs the provider has nothing against.
+ *
+ * A provider whose data changes while the service runs may also have:
+ *   refresh(): Promise<number> | number
+ *
+ * refresh picks up new data and resolves to a version that changes whenever
+ * the data does, so live links can be screened again.
+ */
+
+/**
+ * Offline provider backed by a local hosts file
+ * One hostname per line, optionally followed by a category; "#" starts a
+ * comment. Subdomains of a listed host are matched too. The file is read
+ * again whenever it changes on disk.
+ */
+class FileReputationProvider {
+  constructor(filePath) {
+    this.name = "file";
+    this.filePath = filePath;
+    this.hosts = new Map();
+    this.loadedMtime = null;
+    this.version = 0;
+  }
+
+  /**
+   * Read the hosts file if it changed since the last load
+   */
+  _reload() {
+    let stats;
+    try {
+      stats = fs.statSync(this.filePath);
+    } catch (error) {
+      if (this.loadedMtime !== -1) {
+        logger.warn("Reputation file not readable", {
+          filePath: this.filePath,
+          error: error.message,
+        });
+      }
+      this.hosts = new Map();
+      this.loadedMtime = -1;
+      return;
+    }
+
+    if (stats.mtimeMs === this.loadedMtime) {
+      return;
+    }
+
+    const hosts = new Map();
+    const lines = fs.readFileSync(this.filePath, "utf8").split(/\r?\n/);
+    for (const line of lines) {
+      const [host, category] = line.replace(/#.*/, "").trim().split(/\s+/);
+      if (host) {
+        hosts.set(host.toLowerCase(), category || "listed");
+      }
+    }
+
+    this.hosts = hosts;
+    this.loadedMtime = stats.mtimeMs;
+    this.version++;
+    logger.info("Reputation file loaded", {
+      filePath: this.filePath,
+      hosts: hosts.size,
+    });
+  }
+
+  refresh() {
+    this._reload();
+    return this.version;
+  }
+
+  async lookup(url) {
+    this._reload();
+
+    // Check the host and every parent domain: a.b.example.com, b.example.com, ...
+    const labels = url.hostname.toLowerCase().split(".");
+    for (let index = 0; index < labels.length - 1; index++) {
+      const host = labels.slice(index).join(".");
+      if (this.hosts.has(host)) {
+        return { reason: `Host listed as ${this.hosts.get(host)}` };
+      }
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Build the provider selected in the configuration, or null for none
+ */
+function createReputationProvider({ provider, file }) {
+  if (provider === "file") {
+    if (file) {
+      return new FileReputationProvider(file);
+    }
+
+    logger.warn("Reputation file not set, screening without a provider");
+    return null;
+  }
+
+  if (provider && provider !== "none") {
+    logger.warn("Unknown reputation provider, screening without one", {
+      provider,
+    });
+  }
+
+  return null;
+}
+
+module.exports = {
+  FileReputationProvider,
+  createReputationProvider,
+};
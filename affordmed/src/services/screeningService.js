@@ -0,0 +1,256 @@
+const BlockedDestination = require("../models/BlockedDestination");
+const { createReputationProvider } = require("./reputationProvider");
+const config = require("../config/config");
+const { logger } = require("../middleware/logger");
+
+class ScreeningService {
+  constructor() {
+    this.rulesCacheMs = config.screening.rulesCacheMs;
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+    this.reputationProvider = createReputationProvider(
+      config.screening.reputation
+    );
+    this.reputationVersion = null;
+    this.reputationTimer = null;
+    this.isCheckingReputation = false;
+  }
+
+  /**
+   * Replace the reputation provider (null screens without one)
+   */
+  setReputationProvider(provider) {
+    this.reputationProvider = provider;
+    this.reputationVersion = null;
+  }
+
+  /**
+   * Drop the cached blocklist so the next check reads it again
+   */
+  clearCache() {
+    this.rules = null;
+  }
+
+  /**
+   * Load the domain denylist and pattern blocklist, cached for a short while
+   */
+  async _getRules() {
+    if (this.rules && Date.now() - this.rulesLoadedAt < this.rulesCacheMs) {
+      return this.rules;
+    }
+
+    const entries = await BlockedDestination.find({}).lean();
+    const domains = new Map();
+    const patterns = [];
+
+    for (const entry of entries) {
+      if (entry.type === "domain") {
+        domains.set(entry.value, entry.reason);
+        continue;
+      }
+
+      try {
+        patterns.push({
+          regex: new RegExp(entry.value, "i"),
+          source: entry.value,
+          reason: entry.reason,
+        });
+      } catch (error) {
+        logger.warn("Skipping invalid blocklist pattern", {
+          pattern: entry.value,
+          error: error.message,
+        });
+      }
+    }
+
+    this.rules = { domains, patterns };
+    this.rulesLoadedAt = Date.now();
+    return this.rules;
+  }
+
+  /**
+   * Screen one destination URL
+   * Resolves to null when it is allowed, or { url, source, reason } when the
+   * denylist, the pattern blocklist or the reputation provider blocks it
+   */
+  async screenUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null; // malformed URLs are rejected by validation
+    }
+
+    const { domains, patterns } = await this._getRules();
+
+    // Check the host and every parent domain: a.b.example.com, b.example.com, ...
+    const labels = parsed.hostname.toLowerCase().split(".");
+    for (let index = 0; index < labels.length - 1; index++) {
+      const domain = labels.slice(index).join(".");
+      if (domains.has(domain)) {
+        return {
+          url,
+          source: "denylist",
+          reason: domains.get(domain) || `Domain ${domain} is blocked`,
+        };
+      }
+    }
+
+    const pattern = patterns.find(({ regex }) => regex.test(url));
+    if (pattern) {
+      return {
+        url,
+        source: "pattern",
+        reason: pattern.reason || "URL matches a blocked pattern",
+      };
+    }
+
+    if (this.reputationProvider) {
+      try {
+        const verdict = await this.reputationProvider.lookup(parsed);
+        if (verdict) {
+          return {
+            url,
+            source: `reputation:${this.reputationProvider.name}`,
+            reason: verdict.reason,
+          };
+        }
+      } catch (error) {
+        // A failing provider must not take link creation down with it
+        logger.error("Reputation lookup failed", {
+          provider: this.reputationProvider.name,
+          error: error.message,
+        });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Screen several destination URLs, resolving to the first verdict or null
+   */
+  async screenUrls(urls) {
+    for (const url of new Set(urls.filter(Boolean))) {
+      const verdict = await this.screenUrl(url);
+      if (verdict) {
+        return verdict;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Ask the reputation provider for new data and call onChange when the data
+   * differs from the last check, e.g. to disable links that are now flagged
+   * The first check of a provider counts as a change, since the data may
+   * have changed while the service was down.
+   */
+  async checkReputation(onChange) {
+    const provider = this.reputationProvider;
+    if (!provider || !provider.refresh || this.isCheckingReputation) {
+      return false;
+    }
+
+    this.isCheckingReputation = true;
+    try {
+      const version = await provider.refresh();
+      if (version === this.reputationVersion) {
+        return false;
+      }
+
+      logger.info("Reputation data changed, screening live links again", {
+        provider: provider.name,
+        version,
+      });
+      await onChange();
+      // Recorded only once onChange succeeded, so a failed run is retried
+      this.reputationVersion = version;
+      return true;
+    } catch (error) {
+      logger.error("Reputation check failed", {
+        provider: provider.name,
+        error: error.message,
+      });
+      return false;
+    } finally {
+      this.isCheckingReputation = false;
+    }
+  }
+
+  /**
+   * Check the reputation provider on an interval until stopped
+   */
+  startReputationWatch(onChange) {
+    if (this.reputationTimer) {
+      return;
+    }
+
+    this.reputationTimer = setInterval(
+      () => this.checkReputation(onChange),
+      config.screening.reputation.checkIntervalMs
+    );
+    this.reputationTimer.unref();
+  }
+
+  stopReputationWatch() {
+    clearInterval(this.reputationTimer);
+    this.reputationTimer = null;
+  }
+
+  /**
+   * List the blocklist entries
+   */
+  async listRules() {
+    return BlockedDestination.find({}).sort({ type: 1, value: 1 }).lean();
+  }
+
+  /**
+   * Add a domain or pattern to the blocklist
+   */
+  async addRule(type, value, reason = null, createdBy = "admin") {
+    if (type === "pattern") {
+      // Throws on an invalid regular expression
+      new RegExp(value, "i");
+    } else if (type === "domain") {
+      if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(value)) {
+        throw new Error(`Invalid domain: ${value}`);
+      }
+    } else {
+      throw new Error(`Unknown blocklist type: ${type}`);
+    }
+
+    const entry = await BlockedDestination.create({
+      type,
+      value,
+      reason,
+      createdBy,
+    });
+    this.clearCache();
+
+    logger.info("Blocklist entry added", { type, value: entry.value, reason });
+    return entry;
+  }
+
+  /**
+   * Remove a domain or pattern from the blocklist
+   */
+  async removeRule(type, value) {
+    const normalizedValue =
+      type === "domain" ? value.toLowerCase().replace(/^\*\./, "") : value;
+    const result = await BlockedDestination.deleteOne({
+      type,
+      value: normalizedValue,
+    });
+    this.clearCache();
+
+    logger.info("Blocklist entry removed", {
+      type,
+      value: normalizedValue,
+      removed: result.deletedCount,
+    });
+    return result.deletedCount > 0;
+  }
+}
+
+module.exports = new ScreeningService();
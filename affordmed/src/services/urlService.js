@@ -1,88 +1,1605 @@
+const { Readable } = require("stream");
+const mongoose = require("mongoose");
 const Url = require("../models/Url");
+const ClickEvent = require("../models/ClickEvent");
 const geoIpService = require("./geoIp");
+const qrCodeService = require("./qrCode");
+const screeningService = require("./screeningService");
+const analyticsService = require("./analyticsService");
+const visitorHashService = require("./visitorHash");
+const liveClicksService = require("./liveClicks");
+const webhookService = require("./webhookService");
 const shortcodeGenerator = require("../utils/shortcodeGenerator");
 const {
   validateUrlRequest,
+  validateBatchRequest,
+  validateUrlUpdate,
   validateShortcode,
+  validateListQuery,
+  validateStatsQuery,
+  validateTimeseriesQuery,
+  validateBreakdownQuery,
+  validateExportQuery,
+  validateLiveQuery,
+  validateQrQuery,
   sanitizeUrl,
   validateCustomShortcode,
+  redactSecrets,
 } = require("../utils/validators");
+const AttemptLimiter = require("../utils/attemptLimiter");
+const { generateStreamToken } = require("../utils/authUtils");
+const {
+  resolveDestination,
+  applyPassThrough,
+  applyUtm,
+  UTM_FIELDS,
+} = require("../utils/redirectRules");
+const { parseUserAgent } = require("../utils/userAgent");
+const { detectBot, isPrefetch } = require("../utils/botDetection");
+const { countBuckets } = require("../utils/timeBuckets");
+const { CONTENT_TYPES, formatClickEvents } = require("../utils/clickExport");
 const { logger } = require("../middleware/logger");
 const config = require("../config/config");
 
-class UrlService {
-  constructor() {
-    this.baseUrl = config.shortener.baseUrl;
+// Error codes for rejected destinations
+const DESTINATION_BLOCKED = "DESTINATION_BLOCKED";
+const OWN_LINK_DESTINATION = "OWN_LINK_DESTINATION";
+const SHORTENER_DESTINATION = "SHORTENER_DESTINATION";
+const REDIRECT_LOOP = "REDIRECT_LOOP";
+
+class UrlService {
+  constructor() {
+    this.baseUrl = config.shortener.baseUrl;
+    this.ownHost = new URL(this.baseUrl).host.toLowerCase();
+    this.extraBotSignatures = config.analytics.extraBotSignatures;
+    this.passwordAttempts = new AttemptLimiter(
+      config.shortener.passwordAttempts
+    );
+
+    const { redirectStatusCodes, defaultRedirectStatus } = config.shortener;
+    this.defaultRedirectStatus = 302;
+    if (redirectStatusCodes.includes(defaultRedirectStatus)) {
+      this.defaultRedirectStatus = defaultRedirectStatus;
+    } else {
+      logger.warn("Unsupported default redirect status, using 302", {
+        defaultRedirectStatus,
+      });
+    }
+  }
+
+  /**
+   * Check that the authenticated user owns the URL document
+   */
+  _checkOwnership(urlDoc, user) {
+    if (!user || !user.clientID || urlDoc.createdBy !== user.clientID) {
+      return {
+        success: false,
+        error: "Access denied",
+        details: "You do not own this short URL",
+        statusCode: 403,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the Cache-Control header for a redirect
+   * Only permanent redirects with a fixed destination may be cached, and never
+   * past the link's expiry; links whose clicks must all reach the service
+   * (targeting rules, A/B variants, click limits, passwords) are never cached.
+   */
+  _redirectCacheControl(urlDoc, redirectStatus) {
+    const isPermanent = redirectStatus === 301 || redirectStatus === 308;
+    const needsEveryClick =
+      Boolean(urlDoc.maxClicks) ||
+      Boolean(urlDoc.isPasswordProtected) ||
+      (urlDoc.geoRules || []).length > 0 ||
+      (urlDoc.deviceRules || []).length > 0 ||
+      (urlDoc.variants || []).length > 0;
+
+    if (!isPermanent || needsEveryClick) {
+      return "private, no-store";
+    }
+
+    const secondsLeft = Math.floor(
+      (urlDoc.expiresAt.getTime() - Date.now()) / 1000
+    );
+    const maxAge = Math.max(
+      0,
+      Math.min(secondsLeft, config.shortener.permanentRedirectMaxAge)
+    );
+    return `public, max-age=${maxAge}`;
+  }
+
+  /**
+   * Work out the UTM tags of a link from explicit fields and a named preset
+   * Explicit fields win over the preset's; unknown presets are rejected.
+   */
+  _resolveUtm(utm, utmPreset) {
+    let presetTags = {};
+    if (utmPreset) {
+      presetTags = config.shortener.utmPresets[utmPreset];
+      if (!presetTags) {
+        return {
+          success: false,
+          error: "Validation failed",
+          details: [
+            {
+              field: "utmPreset",
+              message: `Unknown UTM preset: ${utmPreset}`,
+            },
+          ],
+        };
+      }
+    }
+
+    const tags = { ...presetTags, ...(utm || {}) };
+    const hasTags = UTM_FIELDS.some((field) => tags[field]);
+
+    return {
+      success: true,
+      data: hasTags
+        ? Object.fromEntries(
+            UTM_FIELDS.map((field) => [field, tags[field] || null])
+          )
+        : null,
+    };
+  }
+
+  /**
+   * The destination of a link with its UTM tags applied
+   */
+  _effectiveDestination(urlDoc, destination = urlDoc.originalUrl) {
+    return applyUtm(destination, urlDoc.utm, urlDoc.utmMode);
+  }
+
+  /**
+   * All destination URLs of a link: the original URL, rule and variant URLs
+   */
+  _destinationsOf(link) {
+    return [
+      link.originalUrl,
+      ...(link.geoRules || []).map((rule) => rule.url),
+      ...(link.deviceRules || []).map((rule) => rule.url),
+      ...(link.variants || []).map((variant) => variant.url),
+    ];
+  }
+
+  /**
+   * Screen every destination of a link
+   * Resolves to null when all are allowed, or a DESTINATION_BLOCKED error
+   */
+  async _screenDestinations(link) {
+    const verdict = await screeningService.screenUrls(
+      this._destinationsOf(link)
+    );
+    if (!verdict) {
+      return null;
+    }
+
+    logger.warn("Blocked destination rejected", {
+      url: verdict.url,
+      source: verdict.source,
+      reason: verdict.reason,
+    });
+
+    return {
+      success: false,
+      error: "Destination URL is blocked",
+      code: DESTINATION_BLOCKED,
+      details: { url: verdict.url, reason: verdict.reason },
+      statusCode: 422,
+    };
+  }
+
+  /**
+   * Build the 422 error for a destination that would chain or loop
+   */
+  _destinationError(code, error, url) {
+    logger.warn("Destination rejected", { code, url });
+    return { success: false, error, code, details: { url }, statusCode: 422 };
+  }
+
+  /**
+   * Check whether a hostname belongs to a known URL shortener
+   */
+  _isKnownShortener(hostname) {
+    const host = hostname.toLowerCase();
+    return config.shortener.loopProtection.knownShorteners.some(
+      (domain) => host === domain || host.endsWith(`.${domain}`)
+    );
+  }
+
+  /**
+   * Parse a destination on our own domain
+   * Returns { shortcode, exact } where exact means nothing follows the
+   * shortcode, or null for destinations elsewhere
+   */
+  _parseOwnLink(url) {
+    const parsed = new URL(url);
+    if (parsed.host.toLowerCase() !== this.ownHost) {
+      return null;
+    }
+
+    const [segment = "", ...rest] = parsed.pathname.slice(1).split("/");
+    let shortcode;
+    try {
+      shortcode = decodeURIComponent(segment).toLowerCase();
+    } catch (error) {
+      shortcode = segment.toLowerCase();
+    }
+
+    return {
+      shortcode,
+      exact: rest.length === 0 && !parsed.search && !parsed.hash,
+    };
+  }
+
+  /**
+   * A link that always sends visitors to the same place, so pointing at it
+   * is the same as pointing at its destination
+   */
+  _isPlainLink(urlDoc) {
+    return (
+      urlDoc.isActive &&
+      !urlDoc.isExpired &&
+      !urlDoc.isPending &&
+      !urlDoc.password &&
+      !urlDoc.maxClicks &&
+      !urlDoc.passThrough &&
+      this._destinationsOf(urlDoc).length === 1
+    );
+  }
+
+  /**
+   * Follow a destination through our own short links
+   * Plain links are flattened to their destination. Other links are kept,
+   * after checking that none of their destinations lead back to a shortcode
+   * in the chain. Resolves to { success, data: url } or a 422 error.
+   */
+  async _followOwnLinks(url, chain) {
+    const ownLink = this._parseOwnLink(url);
+    if (!ownLink) {
+      return { success: true, data: url };
+    }
+
+    if (config.shortener.loopProtection.ownLinkPolicy === "reject") {
+      return this._destinationError(
+        OWN_LINK_DESTINATION,
+        "Destination cannot be one of our short links",
+        url
+      );
+    }
+
+    if (
+      chain.has(ownLink.shortcode) ||
+      chain.size > config.shortener.loopProtection.maxChain
+    ) {
+      return this._destinationError(
+        REDIRECT_LOOP,
+        "Destination leads back to this short link",
+        url
+      );
+    }
+
+    const target = await Url.findOne({ shortcode: ownLink.shortcode });
+    if (!target) {
+      return this._destinationError(
+        OWN_LINK_DESTINATION,
+        "Destination short link does not exist",
+        url
+      );
+    }
+
+    const nextChain = new Set(chain).add(ownLink.shortcode);
+
+    if (ownLink.exact && this._isPlainLink(target)) {
+      return this._followOwnLinks(
+        this._effectiveDestination(target),
+        nextChain
+      );
+    }
+
+    for (const destination of this._destinationsOf(target)) {
+      const followed = await this._followOwnLinks(destination, nextChain);
+      if (!followed.success) {
+        return followed;
+      }
+    }
+
+    return { success: true, data: url };
+  }
+
+  /**
+   * Keep a link from creating redirect chains or loops
+   * Rejects known shorteners and resolves destinations on our own domain in
+   * place. Resolves to null when the link is fine, or a 422 error.
+   */
+  async _guardDestinations(link, shortcode) {
+    const chain = new Set(shortcode ? [shortcode.toLowerCase()] : []);
+    const targets = [
+      link,
+      ...(link.geoRules || []),
+      ...(link.deviceRules || []),
+      ...(link.variants || []),
+    ];
+
+    for (const target of targets) {
+      const key = target === link ? "originalUrl" : "url";
+      const destination = target[key];
+
+      if (this._isKnownShortener(new URL(destination).hostname)) {
+        return this._destinationError(
+          SHORTENER_DESTINATION,
+          "Destination cannot be another URL shortener",
+          destination
+        );
+      }
+
+      const followed = await this._followOwnLinks(destination, chain);
+      if (!followed.success) {
+        return followed;
+      }
+      target[key] = followed.data;
+    }
+
+    return null;
+  }
+
+  /**
+   * Sanitize the destination URLs of targeting rules like the main destination
+   */
+  _sanitizeRuleUrls(rules) {
+    return (rules || []).map((rule) => ({
+      ...rule,
+      url: sanitizeUrl(rule.url),
+    }));
+  }
+
+  /**
+   * Validate a creation request and build the fields of a new URL document
+   */
+  async _prepareUrlData(data, user) {
+    // Validate input
+    const validation = validateUrlRequest(data);
+    if (!validation.isValid) {
+      return {
+        success: false,
+        error: "Validation failed",
+        details: validation.errors,
+      };
+    }
+
+    const {
+      url,
+      validity,
+      activatesAt,
+      expiresAt,
+      shortcode,
+      maxClicks,
+      password,
+      geoRules,
+      deviceRules,
+      variants,
+      redirectStatus,
+      passThrough,
+      utm,
+      utmPreset,
+      utmMode,
+    } = validation.data;
+    const sanitizedUrl = sanitizeUrl(url);
+    const targeting = {
+      geoRules: this._sanitizeRuleUrls(geoRules),
+      deviceRules: this._sanitizeRuleUrls(deviceRules),
+      variants: this._sanitizeRuleUrls(variants),
+    };
+
+    const utmTags = this._resolveUtm(utm, utmPreset);
+    if (!utmTags.success) {
+      return utmTags;
+    }
+    const expiryMinutes = validity || config.shortener.defaultValidity;
+
+    // The live window starts at activation (or now) and is capped by maxValidity
+    const now = Date.now();
+    const startsAt = activatesAt ? Math.max(activatesAt.getTime(), now) : now;
+    const expiryDate =
+      expiresAt || new Date(startsAt + expiryMinutes * 60 * 1000);
+
+    if (
+      expiryDate.getTime() - startsAt >
+      config.shortener.maxValidity * 60 * 1000
+    ) {
+      return {
+        success: false,
+        error: "Validation failed",
+        details: [
+          {
+            field: "expiresAt",
+            message: `A URL cannot stay live for more than ${config.shortener.maxValidity} minutes`,
+          },
+        ],
+      };
+    }
+
+    // Own short links are resolved before screening their final targets
+    const destinations = { originalUrl: sanitizedUrl, ...targeting };
+    const rejected =
+      (await this._guardDestinations(destinations, shortcode)) ||
+      (await this._screenDestinations(destinations));
+    if (rejected) {
+      return rejected;
+    }
+
+    // Handle custom shortcode
+    let finalShortcode = shortcode;
+    if (shortcode) {
+      const shortcodeValidation = validateShortcode(shortcode);
+      if (!shortcodeValidation.isValid) {
+        return {
+          success: false,
+          error: "Invalid shortcode format",
+          details: shortcodeValidation.error,
+        };
+      }
+
+      const availabilityCheck = await validateCustomShortcode(shortcode);
+      if (!availabilityCheck.isValid) {
+        return {
+          success: false,
+          error: "Shortcode not available",
+          details: availabilityCheck.error,
+        };
+      }
+
+      finalShortcode = shortcodeValidation.shortcode;
+    } else {
+      // Generate unique shortcode
+      finalShortcode = await shortcodeGenerator.generateUnique();
+    }
+
+    return {
+      success: true,
+      data: {
+        // Lowercased here as well: insertMany skips the pre-save hook
+        shortcode: finalShortcode.toLowerCase(),
+        originalUrl: destinations.originalUrl,
+        activatesAt: activatesAt || null,
+        expiresAt: expiryDate,
+        clickCount: 0,
+        maxClicks: maxClicks || null,
+        redirectStatus: redirectStatus || null,
+        passThrough: Boolean(passThrough),
+        utm: utmTags.data,
+        utmPreset: utmPreset || null,
+        utmMode: utmMode || "preserve",
+        password: password || null,
+        geoRules: destinations.geoRules,
+        deviceRules: destinations.deviceRules,
+        variants: destinations.variants,
+        createdBy: user.clientID,
+      },
+    };
+  }
+
+  /**
+   * Create a shortened URL
+   */
+  async createShortUrl(data, user) {
+    try {
+      const prepared = await this._prepareUrlData(data, user);
+      if (!prepared.success) {
+        return prepared;
+      }
+
+      const finalShortcode = prepared.data.shortcode;
+      const sanitizedUrl = prepared.data.originalUrl;
+
+      // Create URL document
+      const urlDoc = new Url(prepared.data);
+
+      // Save to MongoDB
+      await urlDoc.save();
+
+      // Create response
+      const response = {
+        shortLink: urlDoc.shortLink,
+        expiry: urlDoc.expiresAt.toISOString(),
+      };
+      if (urlDoc.activatesAt) {
+        response.activatesAt = urlDoc.activatesAt.toISOString();
+      }
+
+      logger.info("URL shortened successfully", {
+        shortcode: finalShortcode,
+        originalUrl: sanitizedUrl,
+        expiry: urlDoc.expiresAt,
+        createdBy: user.clientID,
+      });
+
+      return {
+        success: true,
+        data: response,
+      };
+    } catch (error) {
+      logger.error("Failed to create short URL", {
+        error: error.message,
+        data: redactSecrets(data),
+      });
+
+      // Handle duplicate key error
+      if (error.code === 11000) {
+        return {
+          success: false,
+          error: "Shortcode already exists",
+          details: "Please try again or provide a different shortcode",
+        };
+      }
+
+      return {
+        success: false,
+        error: "Failed to create short URL",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Create many shortened URLs in one request
+   */
+  async createShortUrls(data, user) {
+    try {
+      const validation = validateBatchRequest(data);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: "Validation failed",
+          details: validation.errors,
+        };
+      }
+
+      const { urls } = validation.data;
+      const results = new Array(urls.length);
+      const pending = [];
+      const claimedShortcodes = new Set();
+
+      // Validate each item on its own so one bad item cannot fail the batch
+      for (let index = 0; index < urls.length; index++) {
+        try {
+          const prepared = await this._prepareUrlData(urls[index], user);
+          if (!prepared.success) {
+            results[index] = {
+              index,
+              success: false,
+              error: prepared.error,
+              ...(prepared.code && { code: prepared.code }),
+              details: prepared.details,
+            };
+            continue;
+          }
+
+          const { shortcode } = prepared.data;
+          if (claimedShortcodes.has(shortcode)) {
+            results[index] = {
+              index,
+              success: false,
+              error: "Shortcode not available",
+              details: "This shortcode is used more than once in the batch",
+            };
+            continue;
+          }
+
+          claimedShortcodes.add(shortcode);
+          pending.push({ index, doc: prepared.data });
+        } catch (error) {
+          results[index] = {
+            index,
+            success: false,
+            error: "Failed to create short URL",
+            details: error.message,
+          };
+        }
+      }
+
+      // Insert all valid items together; unordered so each one stands alone.
+      // Without throwOnValidationError, documents failing schema validation
+      // would be dropped without an error.
+      const failedInserts = new Map();
+      if (pending.length > 0) {
+        try {
+          await Url.insertMany(
+            pending.map(({ doc }) => doc),
+            { ordered: false, throwOnValidationError: true }
+          );
+        } catch (error) {
+          if (!error.writeErrors && !error.validationErrors) {
+            throw error;
+          }
+          for (const writeError of error.writeErrors || []) {
+            failedInserts.set(writeError.index, writeError);
+          }
+          // results holds each document's outcome, in insert order
+          (error.results || []).forEach((result, position) => {
+            if (result instanceof mongoose.Error.ValidationError) {
+              failedInserts.set(position, result);
+            }
+          });
+        }
+      }
+
+      pending.forEach(({ index, doc }, position) => {
+        const writeError = failedInserts.get(position);
+        if (writeError instanceof mongoose.Error.ValidationError) {
+          results[index] = {
+            index,
+            success: false,
+            error: "Validation failed",
+            details: Object.values(writeError.errors).map((cause) => ({
+              field: cause.path,
+              message: cause.message,
+            })),
+          };
+          return;
+        }
+
+        if (writeError) {
+          // Mongoose copies driver write errors, keeping the cause under `err`
+          const cause = writeError.err || writeError;
+          const isDuplicate = cause.code === 11000;
+          results[index] = {
+            index,
+            success: false,
+            error: isDuplicate
+              ? "Shortcode already exists"
+              : "Failed to create short URL",
+            details: isDuplicate
+              ? "Please try again or provide a different shortcode"
+              : cause.errmsg,
+          };
+          return;
+        }
+
+        results[index] = {
+          index,
+          success: true,
+          shortLink: `${this.baseUrl}/${doc.shortcode}`,
+          expiry: doc.expiresAt.toISOString(),
+        };
+        if (doc.activatesAt) {
+          results[index].activatesAt = doc.activatesAt.toISOString();
+        }
+      });
+
+      const succeeded = results.filter((result) => result.success).length;
+
+      logger.info("Batch of URLs shortened", {
+        createdBy: user.clientID,
+        total: urls.length,
+        succeeded,
+        failed: urls.length - succeeded,
+      });
+
+      return {
+        success: true,
+        data: {
+          total: urls.length,
+          succeeded,
+          failed: urls.length - succeeded,
+          results,
+        },
+      };
+    } catch (error) {
+      logger.error("Failed to create short URL batch", {
+        error: error.message,
+      });
+      return {
+        success: false,
+        error: "Failed to create short URL batch",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Find a live or scheduled URL owned by the user
+   * With includeEnded, expired and deactivated URLs are found too, so their
+   * click history stays readable.
+   * Resolves to { success, urlDoc, shortcode } or an error result
+   */
+  async _findOwnedUrl(shortcode, user, { includeEnded = false } = {}) {
+    // Validate shortcode
+    const shortcodeValidation = validateShortcode(shortcode);
+    if (!shortcodeValidation.isValid) {
+      return {
+        success: false,
+        error: "Invalid shortcode format",
+        details: shortcodeValidation.error,
+      };
+    }
+
+    const normalizedShortcode = shortcodeValidation.shortcode;
+    const urlDoc = includeEnded
+      ? await Url.findOne({ shortcode: normalizedShortcode.toLowerCase() })
+      : await Url.findByShortcode(normalizedShortcode, {
+          includePending: true,
+        });
+
+    if (!urlDoc) {
+      return {
+        success: false,
+        error: "URL not found",
+        statusCode: 404,
+      };
+    }
+
+    const accessError = this._checkOwnership(urlDoc, user);
+    if (accessError) {
+      return accessError;
+    }
+
+    // Check if URL is expired
+    if (!includeEnded && urlDoc.isExpired) {
+      return {
+        success: false,
+        error: "URL has expired",
+        statusCode: 410,
+      };
+    }
+
+    return { success: true, urlDoc, shortcode: normalizedShortcode };
+  }
+
+  /**
+   * Get URL statistics
+   * Click events are read from the ClickEvent collection a page at a time,
+   * newest first
+   */
+  async getUrlStats(shortcode, user, query = {}) {
+    try {
+      const validation = validateStatsQuery(query);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: "Validation failed",
+          details: validation.errors,
+          statusCode: 400,
+        };
+      }
+
+      const { limit, cursor, includeBots } = validation.data;
+      let before = null;
+      if (cursor) {
+        before = this._decodeCursor(cursor, "timestamp");
+        if (!before) {
+          return {
+            success: false,
+            error: "Invalid cursor",
+            statusCode: 400,
+          };
+        }
+      }
+
+      const target = await this._findOwnedUrl(shortcode, user, {
+        includeEnded: true,
+      });
+      if (!target.success) {
+        return target;
+      }
+
+      const { urlDoc, shortcode: normalizedShortcode } = target;
+
+      // Fetch one extra event to know whether another page exists
+      const events = await ClickEvent.findPage(urlDoc._id, {
+        limit,
+        before,
+        includeBots,
+      });
+      const hasMore = events.length > limit;
+      const page = hasMore ? events.slice(0, limit) : events;
+      const uniqueClicks = await analyticsService.countUniqueVisitors(urlDoc, {
+        includeBots,
+      });
+      const botClicks = urlDoc.botClickCount || 0;
+
+      const response = {
+        totalClicks: urlDoc.clickCount + (includeBots ? botClicks : 0),
+        uniqueClicks,
+        botClicks,
+        includesBots: includeBots,
+        qrScans: urlDoc.qrScanCount || 0,
+        originalUrl: urlDoc.originalUrl,
+        isActive: urlDoc.isActive !== false,
+        isExpired: Boolean(urlDoc.isExpired),
+        createdAt: urlDoc.createdAt.toISOString(),
+        activatesAt: urlDoc.activatesAt
+          ? urlDoc.activatesAt.toISOString()
+          : null,
+        expiry: urlDoc.expiresAt.toISOString(),
+        isPasswordProtected: Boolean(urlDoc.isPasswordProtected),
+        redirectStatus: urlDoc.redirectStatus ?? null,
+        passThrough: Boolean(urlDoc.passThrough),
+        utm: urlDoc.utm || null,
+        utmPreset: urlDoc.utmPreset || null,
+        utmMode: urlDoc.utmMode || "preserve",
+        effectiveDestination: this._effectiveDestination(urlDoc),
+        maxClicks: urlDoc.maxClicks ?? null,
+        remainingClicks: urlDoc.remainingClicks ?? null,
+        geoRules: urlDoc.geoRules || [],
+        deviceRules: urlDoc.deviceRules || [],
+        variants: (urlDoc.variants || []).map((variant) => ({
+          name: variant.name,
+          url: variant.url,
+          weight: variant.weight,
+          clicks: variant.clicks || 0,
+        })),
+        clickEvents: page.map((event) => this._formatClickEvent(event, urlDoc)),
+        clickEventsPagination: {
+          limit,
+          hasMore,
+          nextCursor: hasMore
+            ? this._encodeCursor(page[page.length - 1], "timestamp")
+            : null,
+        },
+      };
+
+      logger.info("URL stats retrieved", { shortcode: normalizedShortcode });
+
+      return {
+        success: true,
+        data: response,
+      };
+    } catch (error) {
+      logger.error("Failed to get URL stats", {
+        shortcode,
+        error: error.message,
+      });
+      return {
+        success: false,
+        error: "Failed to get URL statistics",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Shape a click event the way the stats and the live stream show it
+   */
+  _formatClickEvent(event, urlDoc) {
+    return {
+      timestamp: event.timestamp.toISOString(),
+      referrer: event.referrer,
+      geoLocation: event.geoLocation,
+      device: event.device || null,
+      os: event.os || null,
+      browser: event.browser || null,
+      destination: event.destination || urlDoc.originalUrl,
+      matchedRule: event.matchedRule || null,
+      variant: event.variant || null,
+      isQrScan: Boolean(event.isQrScan),
+      isBot: Boolean(event.isBot),
+      botName: event.botName || null,
+    };
+  }
+
+  /**
+   * Get a URL's click counts per minute, hour, day or week
+   * The range defaults to the recent past for the interval and is capped at
+   * config.analytics.maxBuckets buckets
+   */
+  async getTimeseries(shortcode, user, query = {}) {
+    try {
+      const validation = validateTimeseriesQuery(query);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: "Validation failed",
+          details: validation.errors,
+          statusCode: 400,
+        };
+      }
+
+      const { interval, timezone, includeBots } = validation.data;
+      const to = validation.data.to || new Date();
+      const from =
+        validation.data.from ||
+        new Date(to.getTime() - config.analytics.defaultRanges[interval]);
+
+      if (from >= to) {
+        return {
+          success: false,
+          error: "Validation failed",
+          details: [{ field: "from", message: "from must be before to" }],
+          statusCode: 400,
+        };
+      }
+
+      const { maxBuckets } = config.analytics;
+      if (countBuckets(from, to, interval) > maxBuckets) {
+        return {
+          success: false,
+          error: "Validation failed",
+          details: [
+            {
+              field: "interval",
+              message: `The range spans more than ${maxBuckets} ${interval} buckets; use a larger interval or a shorter range`,
+            },
+          ],
+          statusCode: 400,
+        };
+      }
+
+      const target = await this._findOwnedUrl(shortcode, user, {
+        includeEnded: true,
+      });
+      if (!target.success) {
+        return target;
+      }
+
+      const { urlDoc, shortcode: normalizedShortcode } = target;
+      const series = await analyticsService.getTimeseries(urlDoc, {
+        interval,
+        from,
+        to,
+        timezone,
+        includeBots,
+      });
+
+      logger.info("URL time series retrieved", {
+        shortcode: normalizedShortcode,
+        interval,
+        buckets: series.buckets.length,
+      });
+
+      return {
+        success: true,
+        data: {
+          shortcode: normalizedShortcode,
+          interval,
+          timezone,
+          from: from.toISOString(),
+          to: to.toISOString(),
+          includesBots: includeBots,
+          totalClicks: series.totalClicks,
+          buckets: series.buckets,
+        },
+      };
+    } catch (error) {
+      logger.error("Failed to get URL time series", {
+        shortcode,
+        error: error.message,
+      });
+      return {
+        success: false,
+        error: "Failed to get URL time series",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Get the top values of a URL's clicks per dimension, such as country or
+   * referrer domain, optionally limited to a date range
+   */
+  async getBreakdowns(shortcode, user, query = {}) {
+    try {
+      const validation = validateBreakdownQuery(query);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: "Validation failed",
+          details: validation.errors,
+          statusCode: 400,
+        };
+      }
+
+      const { dimensions, limit, from, to, includeBots } = validation.data;
+
+      const target = await this._findOwnedUrl(shortcode, user, {
+        includeEnded: true,
+      });
+      if (!target.success) {
+        return target;
+      }
+
+      const { urlDoc, shortcode: normalizedShortcode } = target;
+      const result = await analyticsService.getBreakdowns(urlDoc, {
+        dimensions,
+        limit,
+        from,
+        to,
+        includeBots,
+      });
+
+      logger.info("URL breakdowns retrieved", {
+        shortcode: normalizedShortcode,
+        dimensions,
+      });
+
+      return {
+        success: true,
+        data: {
+          shortcode: normalizedShortcode,
+          from: from ? from.toISOString() : null,
+          to: to ? to.toISOString() : null,
+          includesBots: includeBots,
+          totalClicks: result.totalClicks,
+          breakdowns: result.breakdowns,
+        },
+      };
+    } catch (error) {
+      logger.error("Failed to get URL breakdowns", {
+        shortcode,
+        error: error.message,
+      });
+      return {
+        success: false,
+        error: "Failed to get URL breakdowns",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Export a URL's click events as CSV or NDJSON, oldest first
+   * Resolves to a readable stream fed from a MongoDB cursor, so the events
+   * are never all held in memory
+   */
+  async exportClicks(shortcode, user, query = {}) {
+    try {
+      const validation = validateExportQuery(query);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: "Validation failed",
+          details: validation.errors,
+          statusCode: 400,
+        };
+      }
+
+      const { format, from, to, includeBots } = validation.data;
+
+      const target = await this._findOwnedUrl(shortcode, user, {
+        includeEnded: true,
+      });
+      if (!target.success) {
+        return target;
+      }
+
+      const { urlDoc, shortcode: normalizedShortcode } = target;
+      const cursor = ClickEvent.streamEvents(
+        analyticsService.clickFilter(urlDoc, { from, to, includeBots })
+      );
+
+      logger.info("URL click export started", {
+        shortcode: normalizedShortcode,
+        format,
+      });
+
+      return {
+        success: true,
+        data: {
+          contentType: CONTENT_TYPES[format],
+          filename: `${normalizedShortcode}-clicks.${format}`,
+          body: Readable.from(formatClickEvents(cursor, format)),
+        },
+      };
+    } catch (error) {
+      logger.error("Failed to export URL clicks", {
+        shortcode,
+        error: error.message,
+      });
+      return {
+        success: false,
+        error: "Failed to export URL clicks",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Issue a short-lived token that opens a URL's live click stream without
+   * an Authorization header, for browsers' EventSource
+   */
+  async createLiveStreamToken(shortcode, user) {
+    try {
+      const target = await this._findOwnedUrl(shortcode, user);
+      if (!target.success) {
+        return target;
+      }
+
+      const normalizedShortcode = target.shortcode.toLowerCase();
+      const token = generateStreamToken(user, normalizedShortcode);
+
+      return {
+        success: true,
+        data: {
+          token,
+          expiresIn: config.live.streamTokenTtl,
+          streamUrl: `${this.baseUrl}/shorturls/${normalizedShortcode}/live?token=${token}`,
+        },
+      };
+    } catch (error) {
+      logger.error("Failed to create live stream token", {
+        shortcode,
+        error: error.message,
+      });
+      return {
+        success: false,
+        error: "Failed to create live stream token",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Open a live stream of a URL's clicks
+   * Resolves to a subscribe(onClick, onClose) function, called once the
+   * stream is ready, that returns a function to end the subscription
+   */
+  async openLiveClicks(shortcode, user, query = {}) {
+    try {
+      const validation = validateLiveQuery(query);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: "Validation failed",
+          details: validation.errors,
+          statusCode: 400,
+        };
+      }
+
+      const { includeBots } = validation.data;
+
+      const target = await this._findOwnedUrl(shortcode, user);
+      if (!target.success) {
+        return target;
+      }
+
+      const { urlDoc, shortcode: normalizedShortcode } = target;
+
+      logger.info("Live click stream opened", {
+        shortcode: normalizedShortcode,
+      });
+
+      return {
+        success: true,
+        data: {
+          shortcode: normalizedShortcode,
+          includesBots: includeBots,
+          heartbeatMs: config.live.heartbeatMs,
+          retryMs: config.live.retryMs,
+          subscribe: (onClick, onClose) =>
+            liveClicksService.subscribe(
+              urlDoc,
+              (event) => {
+                if (includeBots || !event.isBot) {
+                  onClick(event);
+                }
+              },
+              onClose
+            ),
+        },
+      };
+    } catch (error) {
+      logger.error("Failed to open live click stream", {
+        shortcode,
+        error: error.message,
+      });
+      return {
+        success: false,
+        error: "Failed to open live click stream",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Render a QR code for a short link
+   * The code encodes the short link with the scan marker, so scans show up
+   * as QR scans in the click events
+   */
+  async getQrCode(shortcode, user, query) {
+    try {
+      const validation = validateQrQuery(query);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: "Validation failed",
+          details: validation.errors,
+        };
+      }
+
+      const target = await this._findOwnedUrl(shortcode, user);
+      if (!target.success) {
+        return target;
+      }
+
+      const options = validation.data;
+      const qrCode = await qrCodeService.generate(
+        qrCodeService.getScanUrl(target.urlDoc.shortLink),
+        options
+      );
+
+      logger.info("QR code generated", {
+        shortcode: target.shortcode,
+        format: options.format,
+        size: options.size,
+      });
+
+      return {
+        success: true,
+        data: {
+          ...qrCode,
+          filename: `${target.shortcode}-qr.${options.format}`,
+        },
+      };
+    } catch (error) {
+      logger.error("Failed to generate QR code", {
+        shortcode,
+        error: error.message,
+      });
+      return {
+        success: false,
+        error: "Failed to generate QR code",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Update an existing shortened URL
+   */
+  async updateUrl(shortcode, data, user) {
+    try {
+      // Validate shortcode
+      const shortcodeValidation = validateShortcode(shortcode);
+      if (!shortcodeValidation.isValid) {
+        return {
+          success: false,
+          error: "Invalid shortcode format",
+          details: shortcodeValidation.error,
+          statusCode: 400,
+        };
+      }
+
+      const normalizedShortcode = shortcodeValidation.shortcode;
+      const urlDoc = await Url.findOne({ shortcode: normalizedShortcode });
+
+      if (!urlDoc) {
+        return {
+          success: false,
+          error: "URL not found",
+          statusCode: 404,
+        };
+      }
+
+      const accessError = this._checkOwnership(urlDoc, user);
+      if (accessError) {
+        return accessError;
+      }
+
+      // Validate input
+      const validation = validateUrlUpdate(data);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: "Validation failed",
+          details: validation.errors,
+          statusCode: 400,
+        };
+      }
+
+      const {
+        url,
+        validity,
+        isActive,
+        password,
+        geoRules,
+        deviceRules,
+        variants,
+        redirectStatus,
+        passThrough,
+        utm,
+        utmPreset,
+        utmMode,
+        metadata,
+      } = validation.data;
+
+      if (url !== undefined) {
+        urlDoc.originalUrl = sanitizeUrl(url);
+      }
+
+      if (validity !== undefined) {
+        // Scheduled URLs keep their validity counted from activation
+        const startsAt = urlDoc.isPending
+          ? urlDoc.activatesAt.getTime()
+          : Date.now();
+        urlDoc.expiresAt = new Date(startsAt + validity * 60 * 1000);
+      }
+
+      if (isActive !== undefined) {
+        // An expired link can only come back with a fresh validity window
+        if (isActive && urlDoc.isExpired) {
+          return {
+            success: false,
+            error: "URL has expired",
+            details: "Provide a new validity to reactivate an expired URL",
+            statusCode: 400,
+          };
+        }
+        urlDoc.isActive = isActive;
+      }
+
+      if (geoRules !== undefined) {
+        urlDoc.geoRules = this._sanitizeRuleUrls(geoRules);
+      }
+
+      if (deviceRules !== undefined) {
+        urlDoc.deviceRules = this._sanitizeRuleUrls(deviceRules);
+      }
+
+      if (variants !== undefined) {
+        // Keep the click counts of variants that stay, so weights can be
+        // tuned mid-experiment
+        const previousClicks = new Map(
+          (urlDoc.variants || []).map((variant) => [
+            variant.name,
+            variant.clicks,
+          ])
+        );
+        urlDoc.variants = this._sanitizeRuleUrls(variants).map((variant) => ({
+          ...variant,
+          clicks: previousClicks.get(variant.name) || 0,
+        }));
+      }
+
+      if (redirectStatus !== undefined) {
+        urlDoc.redirectStatus = redirectStatus;
+      }
+
+      if (passThrough !== undefined) {
+        urlDoc.passThrough = passThrough;
+      }
+
+      // utm and utmPreset replace the link's tags together
+      if (utm !== undefined || utmPreset !== undefined) {
+        const utmTags = this._resolveUtm(utm, utmPreset);
+        if (!utmTags.success) {
+          return { ...utmTags, statusCode: 400 };
+        }
+        urlDoc.utm = utmTags.data;
+        urlDoc.utmPreset = utmPreset || null;
+      }
+
+      if (utmMode !== undefined) {
+        urlDoc.utmMode = utmMode;
+      }
+
+      if (password !== undefined) {
+        urlDoc.password = password;
+        this.passwordAttempts.resetPrefix(`${normalizedShortcode}:`);
+      }
+
+      if (metadata !== undefined) {
+        for (const [key, value] of Object.entries(metadata)) {
+          if (value === null) {
+            urlDoc.metadata.delete(key);
+          } else {
+            urlDoc.metadata.set(key, value);
+          }
+        }
+      }
+
+      // New destinations and reactivated links go through the loop guard and
+      // screening again
+      const changesDestinations = [url, geoRules, deviceRules, variants].some(
+        (field) => field !== undefined
+      );
+      if (changesDestinations || isActive === true) {
+        const rejected =
+          (await this._guardDestinations(urlDoc, urlDoc.shortcode)) ||
+          (await this._screenDestinations(urlDoc));
+        if (rejected) {
+          return rejected;
+        }
+      }
+
+      if (isActive === true) {
+        urlDoc.blockedAt = null;
+        urlDoc.blockedReason = null;
+      }
+
+      await urlDoc.save();
+
+      const response = {
+        shortcode: urlDoc.shortcode,
+        shortLink: urlDoc.shortLink,
+        originalUrl: urlDoc.originalUrl,
+        expiry: urlDoc.expiresAt.toISOString(),
+        isActive: urlDoc.isActive,
+        isPasswordProtected: urlDoc.isPasswordProtected,
+        geoRules: urlDoc.geoRules,
+        deviceRules: urlDoc.deviceRules,
+        variants: urlDoc.variants,
+        redirectStatus: urlDoc.redirectStatus ?? null,
+        passThrough: Boolean(urlDoc.passThrough),
+        utm: urlDoc.utm || null,
+        utmPreset: urlDoc.utmPreset || null,
+        utmMode: urlDoc.utmMode || "preserve",
+        effectiveDestination: this._effectiveDestination(urlDoc),
+        metadata: Object.fromEntries(urlDoc.metadata),
+      };
+
+      logger.info("URL updated successfully", {
+        shortcode: normalizedShortcode,
+        updatedBy: user.clientID,
+        fields: Object.keys(validation.data),
+      });
+
+      return {
+        success: true,
+        data: response,
+      };
+    } catch (error) {
+      logger.error("Failed to update URL", {
+        shortcode,
+        error: error.message,
+      });
+      return {
+        success: false,
+        error: "Failed to update URL",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Encode a pagination cursor from the last document of a page
+   */
+  _encodeCursor(urlDoc, sortBy) {
+    const value = urlDoc[sortBy];
+    const payload = {
+      v: value instanceof Date ? value.toISOString() : value,
+      id: String(urlDoc._id),
+    };
+    return Buffer.from(JSON.stringify(payload)).toString("base64url");
+  }
+
+  /**
+   * Decode a pagination cursor, returning null when it is malformed
+   */
+  _decodeCursor(cursor, sortBy) {
+    try {
+      const payload = JSON.parse(
+        Buffer.from(cursor, "base64url").toString("utf8")
+      );
+      if (payload.v === undefined || !payload.id) {
+        return null;
+      }
+
+      const value =
+        sortBy === "clickCount" ? Number(payload.v) : new Date(payload.v);
+      if (Number.isNaN(Number(value))) {
+        return null;
+      }
+
+      return { value, id: payload.id };
+    } catch (error) {
+      return null;
+    }
   }
 
   /**
-   * Create a shortened URL
+   * List URLs owned by a user
    */
-  async createShortUrl(data) {
+  async listUrls(user, query = {}) {
     try {
-      // Validate input
-      const validation = validateUrlRequest(data);
+      const validation = validateListQuery(query);
       if (!validation.isValid) {
         return {
           success: false,
           error: "Validation failed",
           details: validation.errors,
+          statusCode: 400,
         };
       }
 
-      const { url, validity, shortcode } = validation.data;
-      const sanitizedUrl = sanitizeUrl(url);
-      const expiryMinutes = validity || config.shortener.defaultValidity;
+      const {
+        status,
+        createdFrom,
+        createdTo,
+        search,
+        sortBy,
+        order,
+        limit,
+        cursor,
+      } = validation.data;
+      const now = new Date();
+      const filter = { createdBy: user.clientID };
 
-      // Handle custom shortcode
-      let finalShortcode = shortcode;
-      if (shortcode) {
-        const shortcodeValidation = validateShortcode(shortcode);
-        if (!shortcodeValidation.isValid) {
-          return {
-            success: false,
-            error: "Invalid shortcode format",
-            details: shortcodeValidation.error,
-          };
-        }
+      if (status === "active") {
+        filter.isActive = true;
+        filter.activatesAt = { $not: { $gt: now } };
+        filter.expiresAt = { $gt: now };
+      } else if (status === "scheduled") {
+        filter.isActive = true;
+        filter.activatesAt = { $gt: now };
+        filter.expiresAt = { $gt: now };
+      } else if (status === "expired") {
+        filter.expiresAt = { $lte: now };
+      } else if (status === "deactivated") {
+        filter.isActive = false;
+        filter.expiresAt = { $gt: now };
+      }
+
+      if (createdFrom || createdTo) {
+        filter.createdAt = {};
+        if (createdFrom) filter.createdAt.$gte = createdFrom;
+        if (createdTo) filter.createdAt.$lte = createdTo;
+      }
+
+      if (search) {
+        const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        filter.originalUrl = { $regex: escaped, $options: "i" };
+      }
 
-        const availabilityCheck = await validateCustomShortcode(shortcode);
-        if (!availabilityCheck.isValid) {
+      const direction = order === "asc" ? 1 : -1;
+      if (cursor) {
+        const position = this._decodeCursor(cursor, sortBy);
+        if (!position) {
           return {
             success: false,
-            error: "Shortcode not available",
-            details: availabilityCheck.error,
+            error: "Invalid cursor",
+            statusCode: 400,
           };
         }
 
-        finalShortcode = shortcodeValidation.shortcode;
-      } else {
-        // Generate unique shortcode
-        finalShortcode = await shortcodeGenerator.generateUnique();
+        const operator = direction === 1 ? "$gt" : "$lt";
+        filter.$or = [
+          { [sortBy]: { [operator]: position.value } },
+          { [sortBy]: position.value, _id: { [operator]: position.id } },
+        ];
       }
 
-      // Create URL document
-      const urlDoc = new Url({
-        shortcode: finalShortcode,
-        originalUrl: sanitizedUrl,
-        expiresAt: new Date(Date.now() + expiryMinutes * 60 * 1000),
-        clickCount: 0,
-        clickEvents: [],
-      });
+      // Fetch one extra document to know whether another page exists
+      const urlDocs = await Url.find(filter)
+        .sort({ [sortBy]: direction, _id: direction })
+        .limit(limit + 1);
 
-      // Save to MongoDB
-      await urlDoc.save();
+      const hasMore = urlDocs.length > limit;
+      const page = hasMore ? urlDocs.slice(0, limit) : urlDocs;
 
-      // Create response
       const response = {
-        shortLink: urlDoc.shortLink,
-        expiry: urlDoc.expiresAt.toISOString(),
+        items: page.map((urlDoc) => ({
+          shortcode: urlDoc.shortcode,
+          shortLink: urlDoc.shortLink,
+          originalUrl: urlDoc.originalUrl,
+          createdAt: urlDoc.createdAt.toISOString(),
+          activatesAt: urlDoc.activatesAt
+            ? urlDoc.activatesAt.toISOString()
+            : null,
+          expiry: urlDoc.expiresAt.toISOString(),
+          isActive: urlDoc.isActive,
+          isPending: Boolean(urlDoc.isPending),
+          isExpired: urlDoc.isExpired,
+          blockedReason: urlDoc.blockedReason || null,
+          totalClicks: urlDoc.clickCount,
+        })),
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor: hasMore
+            ? this._encodeCursor(page[page.length - 1], sortBy)
+            : null,
+        },
       };
 
-      logger.info("URL shortened successfully", {
-        shortcode: finalShortcode,
-        originalUrl: sanitizedUrl,
-        expiry: urlDoc.expiresAt,
+      logger.info("URLs listed", {
+        clientID: user.clientID,
+        count: page.length,
+        sortBy,
+        order,
       });
 
       return {
@@ -90,164 +1607,415 @@ class UrlService {
         data: response,
       };
     } catch (error) {
-      logger.error("Failed to create short URL", {
+      logger.error("Failed to list URLs", {
+        clientID: user && user.clientID,
         error: error.message,
-        data,
       });
+      return {
+        success: false,
+        error: "Failed to list URLs",
+        details: error.message,
+      };
+    }
+  }
 
-      // Handle duplicate key error
-      if (error.code === 11000) {
-        return {
-          success: false,
-          error: "Shortcode already exists",
-          details: "Please try again or provide a different shortcode",
-        };
-      }
+  /**
+   * Key of a visitor's password attempts on a link
+   * Keyed by client as well, so wrong guesses from one client do not lock
+   * everyone else out of the link. req.ip follows the "trust proxy" setting.
+   */
+  _passwordAttemptKey(shortcode, req) {
+    return `${shortcode}:${req.ip}`;
+  }
+
+  /**
+   * Look up a URL that can currently be followed
+   */
+  async _findRedirectTarget(shortcode, { hasExtraPath = false } = {}) {
+    // Validate shortcode
+    const shortcodeValidation = validateShortcode(shortcode);
+    if (!shortcodeValidation.isValid) {
+      return {
+        success: false,
+        error: "Invalid shortcode format",
+        statusCode: 400,
+      };
+    }
+
+    const normalizedShortcode = shortcodeValidation.shortcode;
+    const urlDoc = await Url.findByShortcode(normalizedShortcode, {
+      includePending: true,
+    });
 
+    // Extra path segments only resolve on pass-through links
+    if (!urlDoc || (hasExtraPath && !urlDoc.passThrough)) {
       return {
         success: false,
-        error: "Failed to create short URL",
-        details: error.message,
+        error: "URL not found",
+        statusCode: 404,
+      };
+    }
+
+    // Check if URL is scheduled for later
+    if (urlDoc.isPending) {
+      return {
+        success: false,
+        error: "URL is not active yet",
+        details: { activatesAt: urlDoc.activatesAt.toISOString() },
+        statusCode: 403,
+      };
+    }
+
+    // Check if URL is expired
+    if (urlDoc.isExpired) {
+      return {
+        success: false,
+        error: "URL has expired",
+        statusCode: 410,
+      };
+    }
+
+    // Check if the click limit has been used up
+    if (urlDoc.remainingClicks === 0) {
+      return {
+        success: false,
+        error: "URL click limit reached",
+        statusCode: 410,
       };
     }
+
+    return { success: true, urlDoc, shortcode: normalizedShortcode };
   }
 
   /**
-   * Get URL statistics
+   * Split the extra path segments and the raw query off a short link request
+   * e.g. "/abc/docs/page?ref=x" gives ["docs", "page"] and "ref=x"
    */
-  async getUrlStats(shortcode) {
-    try {
-      // Validate shortcode
-      const shortcodeValidation = validateShortcode(shortcode);
-      if (!shortcodeValidation.isValid) {
-        return {
-          success: false,
-          error: "Invalid shortcode format",
-          details: shortcodeValidation.error,
-        };
-      }
+  _passThroughParts(req) {
+    const requestUrl = (req && req.originalUrl) || "";
+    const queryStart = requestUrl.indexOf("?");
+    const path =
+      queryStart === -1 ? requestUrl : requestUrl.slice(0, queryStart);
 
-      const normalizedShortcode = shortcodeValidation.shortcode;
-      const urlDoc = await Url.findByShortcode(normalizedShortcode);
+    // The QR scan marker is ours and never reaches the destination
+    const query = (queryStart === -1 ? "" : requestUrl.slice(queryStart + 1))
+      .split("&")
+      .filter((pair) => pair && pair.split("=")[0] !== qrCodeService.scanParam)
+      .join("&");
 
-      if (!urlDoc) {
-        return {
-          success: false,
-          error: "URL not found",
-          statusCode: 404,
-        };
-      }
+    return {
+      pathSegments: path.split("/").slice(2).filter(Boolean),
+      query,
+    };
+  }
+
+  /**
+   * Record a click on a URL and build the redirect result
+   * HEAD requests and prefetch hints are redirected without counting a click;
+   * bot clicks are counted apart from visitors and flagged on the event
+   */
+  async _recordClick(urlDoc, shortcode, req) {
+    const isCounted = req.method !== "HEAD" && !isPrefetch(req.headers);
+
+    // Get client IP and geolocation; the IP itself is not kept
+    const clientIp = geoIpService.getClientIp(req);
+    const geoLocation = { ...(await geoIpService.getLocation(clientIp)) };
+    delete geoLocation.ip;
 
-      // Check if URL is expired
-      if (urlDoc.isExpired) {
+    const userAgent = req.get("User-Agent");
+    const client = parseUserAgent(userAgent);
+
+    // Pick the destination from the link's rules and A/B variants
+    const resolved = resolveDestination(urlDoc, { geoLocation, client });
+    const { matchedRule, variant } = resolved;
+
+    // UTM tags go on first so pass-through parameters cannot replace them
+    const tagged = this._effectiveDestination(urlDoc, resolved.url);
+
+    // Pass-through links forward the visitor's extra path and query
+    const destination = urlDoc.passThrough
+      ? sanitizeUrl(applyPassThrough(tagged, this._passThroughParts(req)))
+      : tagged;
+
+    const redirectStatus = urlDoc.redirectStatus || this.defaultRedirectStatus;
+
+    if (!isCounted) {
+      // Nothing is counted, but a link out of clicks still stops redirecting
+      if (urlDoc.remainingClicks === 0) {
         return {
           success: false,
-          error: "URL has expired",
+          error: "URL click limit reached",
           statusCode: 410,
         };
       }
 
-      const response = {
-        totalClicks: urlDoc.clickCount,
-        originalUrl: urlDoc.originalUrl,
-        createdAt: urlDoc.createdAt.toISOString(),
-        expiry: urlDoc.expiresAt.toISOString(),
-        clickEvents: urlDoc.clickEvents.map((event) => ({
-          timestamp: event.timestamp.toISOString(),
-          referrer: event.referrer,
-          geoLocation: event.geoLocation,
-        })),
+      logger.info("URL redirect not counted", {
+        shortcode,
+        destination,
+        reason: req.method === "HEAD" ? "HEAD request" : "prefetch",
+      });
+
+      return {
+        success: true,
+        data: {
+          originalUrl: urlDoc.originalUrl,
+          destinationUrl: destination,
+          redirectStatus,
+          // Not cached, so the real visit comes back and is counted
+          cacheControl: "private, no-store",
+          clickEvent: null,
+        },
       };
+    }
 
-      logger.info("URL stats retrieved", { shortcode: normalizedShortcode });
+    const visitorId = await visitorHashService.hash(clientIp, userAgent);
+    const botName = detectBot(userAgent, req.headers, this.extraBotSignatures);
+
+    // Create click event
+    const clickEvent = {
+      timestamp: new Date(),
+      referrer: req.get("Referer") || "Direct",
+      geoLocation,
+      visitorId,
+      userAgent,
+      device: client.device,
+      os: client.os,
+      browser: client.browser,
+      destination,
+      matchedRule,
+      variant,
+      isQrScan: qrCodeService.isScan(req),
+      isBot: Boolean(botName),
+      botName,
+    };
+
+    // Count the click first (null once the click limit is hit), then append
+    // the event to the click event store
+    const updatedDoc = await urlDoc.incrementClicks(clickEvent);
+    if (!updatedDoc) {
+      return {
+        success: false,
+        error: "URL click limit reached",
+        statusCode: 410,
+      };
+    }
+
+    await this._storeClickEvent(urlDoc, clickEvent);
+    const formattedClick = this._formatClickEvent(clickEvent, urlDoc);
+    liveClicksService.publish(urlDoc, formattedClick);
+    if (!clickEvent.isBot) {
+      webhookService.notifyClick(urlDoc, formattedClick, updatedDoc.clickCount);
+    }
+
+    logger.info("URL redirect successful", {
+      shortcode,
+      originalUrl: urlDoc.originalUrl,
+      destination,
+      matchedRule,
+      variant,
+      isQrScan: clickEvent.isQrScan,
+      botName,
+      redirectStatus,
+      clicks: updatedDoc.clickCount,
+    });
+
+    return {
+      success: true,
+      data: {
+        originalUrl: urlDoc.originalUrl,
+        destinationUrl: destination,
+        redirectStatus,
+        cacheControl: this._redirectCacheControl(urlDoc, redirectStatus),
+        clickEvent: {
+          timestamp: clickEvent.timestamp.toISOString(),
+          referrer: clickEvent.referrer,
+          geoLocation: clickEvent.geoLocation,
+          device: clickEvent.device,
+          os: clickEvent.os,
+          browser: clickEvent.browser,
+          matchedRule: clickEvent.matchedRule,
+          variant: clickEvent.variant,
+          isQrScan: clickEvent.isQrScan,
+          isBot: clickEvent.isBot,
+        },
+      },
+    };
+  }
+
+  /**
+   * Append a click event to the click event store
+   * The click is already counted, so a failed write is logged rather than
+   * keeping the visitor from their destination
+   */
+  async _storeClickEvent(urlDoc, clickEvent) {
+    try {
+      await ClickEvent.record(urlDoc, clickEvent);
+    } catch (error) {
+      logger.error("Failed to store click event", {
+        shortcode: urlDoc.shortcode,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get the details shown on a URL preview page (does not count a click)
+   */
+  async previewUrl(shortcode) {
+    try {
+      const target = await this._findRedirectTarget(shortcode);
+      if (!target.success) {
+        return target;
+      }
 
       return {
         success: true,
-        data: response,
+        data: this._previewOf(target.urlDoc, target.shortcode),
       };
     } catch (error) {
-      logger.error("Failed to get URL stats", {
+      logger.error("Failed to preview URL", {
         shortcode,
         error: error.message,
       });
       return {
         success: false,
-        error: "Failed to get URL statistics",
+        error: "Failed to preview URL",
         details: error.message,
       };
     }
   }
 
+  /**
+   * Details shown on a link's preview page
+   */
+  _previewOf(urlDoc, shortcode) {
+    const isPasswordProtected = Boolean(urlDoc.isPasswordProtected);
+
+    logger.info("URL preview viewed", { shortcode });
+
+    return {
+      shortcode,
+      shortLink: `${this.baseUrl}/${shortcode}`,
+      // Protected destinations stay hidden until the password is given
+      originalUrl: isPasswordProtected
+        ? null
+        : this._effectiveDestination(urlDoc),
+      isPasswordProtected,
+      createdAt: urlDoc.createdAt.toISOString(),
+      expiry: urlDoc.expiresAt.toISOString(),
+    };
+  }
+
   /**
    * Redirect to original URL
    */
   async redirectToUrl(shortcode, req) {
     try {
-      // Validate shortcode
-      const shortcodeValidation = validateShortcode(shortcode);
-      if (!shortcodeValidation.isValid) {
+      const { pathSegments } = this._passThroughParts(req);
+      const target = await this._findRedirectTarget(shortcode, {
+        hasExtraPath: pathSegments.length > 0,
+      });
+      if (!target.success) {
+        return target;
+      }
+
+      // ?preview=1 is an alias for GET /:shortcode+, except on pass-through
+      // links, which hand the parameter on to their destination instead
+      const { preview } = req.query || {};
+      if (
+        (preview === "1" || preview === "true") &&
+        !target.urlDoc.passThrough
+      ) {
         return {
-          success: false,
-          error: "Invalid shortcode format",
-          statusCode: 400,
+          success: true,
+          data: { preview: this._previewOf(target.urlDoc, target.shortcode) },
         };
       }
 
-      const normalizedShortcode = shortcodeValidation.shortcode;
-      const urlDoc = await Url.findByShortcode(normalizedShortcode);
+      // Protected links show a password prompt instead of redirecting
+      if (target.urlDoc.isPasswordProtected) {
+        return {
+          success: true,
+          data: {
+            passwordRequired: true,
+            shortcode: target.shortcode,
+          },
+        };
+      }
 
-      if (!urlDoc) {
+      return await this._recordClick(target.urlDoc, target.shortcode, req);
+    } catch (error) {
+      logger.error("Failed to redirect URL", {
+        shortcode,
+        error: error.message,
+      });
+      return {
+        success: false,
+        error: "Failed to redirect to URL",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Verify the password of a protected URL and redirect to it
+   */
+  async verifyPasswordAndRedirect(shortcode, password, req) {
+    try {
+      const { pathSegments } = this._passThroughParts(req);
+      const target = await this._findRedirectTarget(shortcode, {
+        hasExtraPath: pathSegments.length > 0,
+      });
+      if (!target.success) {
+        return target;
+      }
+
+      const { urlDoc } = target;
+      // Clicks on other links are only counted through GET and HEAD
+      if (!urlDoc.isPasswordProtected) {
         return {
           success: false,
-          error: "URL not found",
-          statusCode: 404,
+          error: "This link is not password protected",
+          statusCode: 405,
         };
       }
 
-      // Check if URL is expired
-      if (urlDoc.isExpired) {
+      // The attempt is counted before the slow hash comparison, so parallel
+      // guesses cannot all get past the limit
+      const attemptKey = this._passwordAttemptKey(target.shortcode, req);
+      if (!this.passwordAttempts.reserve(attemptKey)) {
+        logger.warn("Password attempts blocked", {
+          shortcode: target.shortcode,
+        });
         return {
           success: false,
-          error: "URL has expired",
-          statusCode: 410,
+          error: "Too many incorrect password attempts, please try again later",
+          statusCode: 429,
+          passwordRequired: true,
         };
       }
 
-      // Get client IP and geolocation
-      const clientIp = geoIpService.getClientIp(req);
-      const geoLocation = await geoIpService.getLocation(clientIp);
-
-      // Create click event
-      const clickEvent = {
-        timestamp: new Date(),
-        referrer: req.get("Referer") || "Direct",
-        geoLocation,
-        userAgent: req.get("User-Agent"),
-      };
-
-      // Add click event to URL document
-      await urlDoc.addClickEvent(clickEvent);
+      const isValidPassword =
+        typeof password === "string" &&
+        password.length > 0 &&
+        (await urlDoc.comparePassword(password));
 
-      logger.info("URL redirect successful", {
-        shortcode: normalizedShortcode,
-        originalUrl: urlDoc.originalUrl,
-        clientIp,
-        clicks: urlDoc.clickCount,
-      });
+      if (!isValidPassword) {
+        logger.warn("Incorrect link password", {
+          shortcode: target.shortcode,
+        });
+        return {
+          success: false,
+          error: "Incorrect password",
+          statusCode: 401,
+          passwordRequired: true,
+        };
+      }
 
-      return {
-        success: true,
-        data: {
-          originalUrl: urlDoc.originalUrl,
-          clickEvent: {
-            timestamp: clickEvent.timestamp.toISOString(),
-            referrer: clickEvent.referrer,
-            geoLocation: clickEvent.geoLocation,
-          },
-        },
-      };
+      this.passwordAttempts.reset(attemptKey);
+      return await this._recordClick(urlDoc, target.shortcode, req);
     } catch (error) {
-      logger.error("Failed to redirect URL", {
+      logger.error("Failed to verify URL password", {
         shortcode,
         error: error.message,
       });
@@ -262,7 +2030,7 @@ class UrlService {
   /**
    * Delete a shortened URL
    */
-  async deleteUrl(shortcode) {
+  async deleteUrl(shortcode, user) {
     try {
       // Validate shortcode
       const shortcodeValidation = validateShortcode(shortcode);
@@ -270,6 +2038,7 @@ class UrlService {
         return {
           success: false,
           error: "Invalid shortcode format",
+          statusCode: 400,
         };
       }
 
@@ -280,14 +2049,24 @@ class UrlService {
         return {
           success: false,
           error: "URL not found",
+          statusCode: 404,
         };
       }
 
+      const accessError = this._checkOwnership(urlDoc, user);
+      if (accessError) {
+        return accessError;
+      }
+
       // Deactivate the URL
       await urlDoc.deactivate();
+      webhookService.emit("link.deleted", urlDoc, {
+        deletedAt: new Date().toISOString(),
+      });
 
       logger.info("URL deleted successfully", {
         shortcode: normalizedShortcode,
+        deletedBy: user.clientID,
       });
 
       return {
@@ -304,6 +2083,29 @@ class UrlService {
     }
   }
 
+  /**
+   * Assign legacy "system" URLs to an owner
+   */
+  async migrateSystemUrls(clientID, shortcodes = null) {
+    try {
+      const result = await Url.assignSystemUrls(clientID, shortcodes);
+      const migratedCount = result.modifiedCount || 0;
+
+      logger.info("Migrated system URLs to owner", {
+        clientID,
+        migratedCount,
+      });
+
+      return migratedCount;
+    } catch (error) {
+      logger.error("Failed to migrate system URLs", {
+        clientID,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get service health status
    */
@@ -329,6 +2131,57 @@ class UrlService {
     }
   }
 
+  /**
+   * Disable live URLs whose destinations are now blocked
+   * Run after the blocklist or the reputation data changes
+   */
+  async disableBlockedUrls() {
+    try {
+      screeningService.clearCache();
+
+      const cursor = Url.find({
+        isActive: true,
+        expiresAt: { $gt: new Date() },
+      })
+        .select("shortcode originalUrl geoRules deviceRules variants")
+        .cursor();
+
+      let disabledCount = 0;
+      for await (const urlDoc of cursor) {
+        const verdict = await screeningService.screenUrls(
+          this._destinationsOf(urlDoc)
+        );
+        if (!verdict) {
+          continue;
+        }
+
+        await Url.updateOne(
+          { _id: urlDoc._id },
+          {
+            $set: {
+              isActive: false,
+              blockedAt: new Date(),
+              blockedReason: verdict.reason,
+            },
+          }
+        );
+        disabledCount++;
+
+        logger.warn("URL disabled, destination is blocked", {
+          shortcode: urlDoc.shortcode,
+          url: verdict.url,
+          source: verdict.source,
+        });
+      }
+
+      logger.info("Blocked URL scan finished", { disabledCount });
+      return disabledCount;
+    } catch (error) {
+      logger.error("Failed to disable blocked URLs", { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Clean up expired URLs
    */
@@ -0,0 +1,64 @@
+const crypto = require("crypto");
+const VisitorSalt = require("../models/VisitorSalt");
+const { logger } = require("../middleware/logger");
+
+// MongoDB duplicate key error, raised when two instances create a salt at once
+const DUPLICATE_KEY = 11000;
+
+class VisitorHashService {
+  constructor() {
+    this.salts = new Map();
+  }
+
+  /**
+   * Get the salt of a UTC day, creating it on first use
+   * Every instance shares the stored salt; only the current day's is cached
+   */
+  async _getSalt(day) {
+    if (this.salts.has(day)) {
+      return this.salts.get(day);
+    }
+
+    let saltDoc;
+    try {
+      saltDoc = await VisitorSalt.findOneAndUpdate(
+        { day },
+        { $setOnInsert: { salt: crypto.randomBytes(32).toString("hex") } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) {
+        throw error;
+      }
+      saltDoc = await VisitorSalt.findOne({ day });
+    }
+
+    this.salts.clear();
+    this.salts.set(day, saltDoc.salt);
+    return saltDoc.salt;
+  }
+
+  /**
+   * Hash a visitor's IP address and User-Agent with the day's salt
+   * The same visitor gets the same ID all day and a new one the next day.
+   * Resolves to null when the hash cannot be computed.
+   */
+  async hash(ip, userAgent, now = new Date()) {
+    if (!ip) {
+      return null;
+    }
+
+    try {
+      const salt = await this._getSalt(now.toISOString().slice(0, 10));
+      return crypto
+        .createHash("sha256")
+        .update(`${salt}\n${ip}\n${userAgent || ""}`)
+        .digest("hex");
+    } catch (error) {
+      logger.error("Failed to hash visitor", { error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = new VisitorHashService();
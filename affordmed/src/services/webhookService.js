@@ -0,0 +1,832 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const axios = require("axios");
+const mongoose = require("mongoose");
+const WebhookSubscription = require("../models/WebhookSubscription");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const Url = require("../models/Url");
+const {
+  validateWebhookRequest,
+  validateDeliveryQuery,
+} = require("../utils/webhookValidators");
+const config = require("../config/config");
+const { logger } = require("../middleware/logger");
+
+// Addresses webhooks are not sent to unless private targets are allowed:
+// "this" network, private ranges, shared address space, loopback, link-local
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+].forEach(([address, prefix, type]) =>
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, type)
+);
+
+const BLOCKED_TARGET = "EBLOCKEDTARGET";
+
+function isPrivateAddress(address) {
+  const type = net.isIP(address) === 6 ? "ipv6" : "ipv4";
+  return PRIVATE_ADDRESSES.check(address, type);
+}
+
+function blockedTargetError(host) {
+  const error = new Error(`Webhook target ${host} is a private address`);
+  error.code = BLOCKED_TARGET;
+  return error;
+}
+
+/**
+ * DNS lookup for outgoing requests that refuses private addresses, so a
+ * hostname cannot point a webhook at the internal network
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(blockedTargetError(hostname));
+    }
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+class WebhookService {
+  constructor() {
+    this.options = config.webhooks;
+    this.subscriptions = new Map(); // createdBy -> { list, loadedAt }
+    this.timer = null;
+    this.isPolling = false;
+  }
+
+  /**
+   * Sign a payload: hex HMAC-SHA256 of "<timestamp>.<body>" with the secret
+   * Receivers compute the same value to check X-Webhook-Signature.
+   */
+  sign(secret, timestamp, body) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  }
+
+  /**
+   * Delay before the attempt following the given number of failed attempts
+   */
+  retryDelay(attempts) {
+    return Math.min(
+      this.options.retryBaseMs * 2 ** (attempts - 1),
+      this.options.retryMaxMs
+    );
+  }
+
+  /**
+   * Refuse webhook URLs naming a private address or localhost
+   * Hostnames are checked again when they are resolved for each attempt.
+   */
+  _checkTarget(url) {
+    if (this.options.allowPrivateTargets) {
+      return null;
+    }
+
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    if (
+      host === "localhost" ||
+      host.endsWith(".localhost") ||
+      (net.isIP(host) && isPrivateAddress(host))
+    ) {
+      return blockedTargetError(host);
+    }
+
+    return null;
+  }
+
+  _formatSubscription(subscription) {
+    return {
+      id: String(subscription._id),
+      url: subscription.url,
+      events: subscription.events,
+      shortcodes: subscription.shortcodes,
+      clickThresholds: subscription.clickThresholds,
+      description: subscription.description,
+      isActive: subscription.isActive,
+      createdAt: subscription.createdAt,
+      updatedAt: subscription.updatedAt,
+    };
+  }
+
+  _formatDelivery(delivery) {
+    return {
+      id: String(delivery._id),
+      webhookId: String(delivery.subscription),
+      event: delivery.event,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      nextAttemptAt:
+        delivery.status === "pending" ? delivery.nextAttemptAt : null,
+      lastAttemptAt: delivery.lastAttemptAt,
+      lastStatusCode: delivery.lastStatusCode,
+      lastError: delivery.lastError,
+      deliveredAt: delivery.deliveredAt,
+      createdAt: delivery.createdAt,
+      payload: delivery.payload,
+    };
+  }
+
+  _notFound(what) {
+    return {
+      success: false,
+      error: `${what} not found`,
+      statusCode: 404,
+    };
+  }
+
+  /**
+   * Find one of the user's webhook subscriptions
+   * Resolves to { success, subscription } or an error result
+   */
+  async _findOwnedSubscription(webhookId, user) {
+    if (!mongoose.isValidObjectId(webhookId)) {
+      return this._notFound("Webhook");
+    }
+
+    const subscription = await WebhookSubscription.findOne({
+      _id: webhookId,
+      createdBy: user.clientID,
+    }).lean();
+
+    if (!subscription) {
+      return this._notFound("Webhook");
+    }
+
+    return { success: true, subscription };
+  }
+
+  /**
+   * Active subscriptions of a link owner, cached for a short while
+   */
+  async _getSubscriptions(createdBy) {
+    if (!createdBy) {
+      return [];
+    }
+
+    const cached = this.subscriptions.get(createdBy);
+    if (
+      cached &&
+      Date.now() - cached.loadedAt < this.options.subscriptionsCacheMs
+    ) {
+      return cached.list;
+    }
+
+    const list = await WebhookSubscription.find({
+      createdBy,
+      isActive: true,
+    }).lean();
+    this.subscriptions.set(createdBy, { list, loadedAt: Date.now() });
+    return list;
+  }
+
+  /**
+   * Create a webhook subscription
+   * The signing secret is only returned here
+   */
+  async createSubscription(data, user) {
+    try {
+      const validation = validateWebhookRequest(data);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: "Validation failed",
+          details: validation.errors,
+        };
+      }
+
+      const targetError = this._checkTarget(validation.data.url);
+      if (targetError) {
+        return {
+          success: false,
+          error: "Webhook URL not allowed",
+          details: targetError.message,
+        };
+      }
+
+      const existing = await WebhookSubscription.countDocuments({
+        createdBy: user.clientID,
+      });
+      if (existing >= this.options.maxSubscriptions) {
+        return {
+          success: false,
+          error: "Webhook limit reached",
+          details: `A user can have at most ${this.options.maxSubscriptions} webhooks`,
+          statusCode: 409,
+        };
+      }
+
+      const secret = `whsec_${crypto.randomBytes(24).toString("hex")}`;
+      const subscription = await WebhookSubscription.create({
+        ...validation.data,
+        description: validation.data.description || null,
+        createdBy: user.clientID,
+        secret,
+      });
+      this.subscriptions.delete(user.clientID);
+
+      logger.info("Webhook created", {
+        webhookId: String(subscription._id),
+        url: subscription.url,
+        events: subscription.events,
+        createdBy: user.clientID,
+      });
+
+      return {
+        success: true,
+        data: { ...this._formatSubscription(subscription), secret },
+        message: "Store the secret now, it is not shown again",
+      };
+    } catch (error) {
+      logger.error("Failed to create webhook", { error: error.message });
+      return {
+        success: false,
+        error: "Failed to create webhook",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * List the user's webhook subscriptions, newest first
+   */
+  async listSubscriptions(user) {
+    try {
+      const subscriptions = await WebhookSubscription.find({
+        createdBy: user.clientID,
+      })
+        .sort({ createdAt: -1 })
+        .lean();
+
+      return {
+        success: true,
+        data: {
+          webhooks: subscriptions.map((subscription) =>
+            this._formatSubscription(subscription)
+          ),
+        },
+      };
+    } catch (error) {
+      logger.error("Failed to list webhooks", { error: error.message });
+      return {
+        success: false,
+        error: "Failed to list webhooks",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Delete a webhook subscription together with its deliveries
+   */
+  async deleteSubscription(webhookId, user) {
+    try {
+      const target = await this._findOwnedSubscription(webhookId, user);
+      if (!target.success) {
+        return target;
+      }
+
+      await WebhookSubscription.deleteOne({ _id: target.subscription._id });
+      await WebhookDelivery.deleteMany({
+        subscription: target.subscription._id,
+      });
+      this.subscriptions.delete(user.clientID);
+
+      logger.info("Webhook deleted", {
+        webhookId,
+        deletedBy: user.clientID,
+      });
+
+      return {
+        success: true,
+        message: "Webhook deleted successfully",
+      };
+    } catch (error) {
+      logger.error("Failed to delete webhook", {
+        webhookId,
+        error: error.message,
+      });
+      return {
+        success: false,
+        error: "Failed to delete webhook",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * List a webhook's deliveries, newest first
+   */
+  async listDeliveries(webhookId, user, query = {}) {
+    try {
+      const validation = validateDeliveryQuery(query);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: "Validation failed",
+          details: validation.errors,
+        };
+      }
+
+      const target = await this._findOwnedSubscription(webhookId, user);
+      if (!target.success) {
+        return target;
+      }
+
+      const { status, limit } = validation.data;
+      const filter = { subscription: target.subscription._id };
+      if (status) {
+        filter.status = status;
+      }
+
+      const deliveries = await WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+
+      return {
+        success: true,
+        data: {
+          webhookId,
+          deliveries: deliveries.map((delivery) =>
+            this._formatDelivery(delivery)
+          ),
+        },
+      };
+    } catch (error) {
+      logger.error("Failed to list webhook deliveries", {
+        webhookId,
+        error: error.message,
+      });
+      return {
+        success: false,
+        error: "Failed to list webhook deliveries",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * List the user's dead-lettered deliveries, most recently failed first
+   */
+  async listDeadLetters(user, query = {}) {
+    try {
+      const validation = validateDeliveryQuery(query);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: "Validation failed",
+          details: validation.errors,
+        };
+      }
+
+      const deliveries = await WebhookDelivery.find({
+        createdBy: user.clientID,
+        status: "dead",
+      })
+        .sort({ updatedAt: -1 })
+        .limit(validation.data.limit)
+        .lean();
+
+      return {
+        success: true,
+        data: {
+          deliveries: deliveries.map((delivery) =>
+            this._formatDelivery(delivery)
+          ),
+        },
+      };
+    } catch (error) {
+      logger.error("Failed to list dead-lettered deliveries", {
+        error: error.message,
+      });
+      return {
+        success: false,
+        error: "Failed to list dead-lettered deliveries",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Send a dead or delivered delivery again, right away
+   * It starts over with a full set of attempts; the payload and its id stay
+   * the same so receivers can recognise the event.
+   */
+  async redeliver(deliveryId, user) {
+    try {
+      if (!mongoose.isValidObjectId(deliveryId)) {
+        return this._notFound("Delivery");
+      }
+
+      const delivery = await WebhookDelivery.findOne({
+        _id: deliveryId,
+        createdBy: user.clientID,
+      }).lean();
+      if (!delivery) {
+        return this._notFound("Delivery");
+      }
+
+      const target = await this._findOwnedSubscription(
+        delivery.subscription,
+        user
+      );
+      if (!target.success) {
+        return target;
+      }
+
+      // Claimed atomically so a concurrent redelivery or the retry poller
+      // does not send it twice
+      const claimed = await WebhookDelivery.findOneAndUpdate(
+        { _id: delivery._id, status: { $ne: "pending" } },
+        {
+          $set: {
+            status: "pending",
+            attempts: 0,
+            deliveredAt: null,
+            nextAttemptAt: this._claimUntil(new Date()),
+          },
+        },
+        { new: true }
+      ).lean();
+      if (!claimed) {
+        return {
+          success: false,
+          error: "Delivery is already pending",
+          details: "It is sent again when its next attempt is due",
+          statusCode: 409,
+        };
+      }
+
+      logger.info("Webhook redelivery requested", {
+        deliveryId,
+        requestedBy: user.clientID,
+      });
+
+      return {
+        success: true,
+        data: await this._attempt(claimed, target.subscription),
+      };
+    } catch (error) {
+      logger.error("Failed to redeliver webhook", {
+        deliveryId,
+        error: error.message,
+      });
+      return {
+        success: false,
+        error: "Failed to redeliver webhook",
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Send an event about a link to its owner's matching subscriptions
+   * Subscriptions limited to other shortcodes, and those rejected by
+   * matches, are skipped. Failures are logged, never thrown, so callers do
+   * not have to wait for or guard the deliveries.
+   */
+  async emit(event, urlDoc, data = {}, matches = () => true) {
+    try {
+      const subscriptions = (
+        await this._getSubscriptions(urlDoc.createdBy)
+      ).filter(
+        (subscription) =>
+          subscription.events.includes(event) &&
+          (subscription.shortcodes.length === 0 ||
+            subscription.shortcodes.includes(urlDoc.shortcode)) &&
+          matches(subscription)
+      );
+
+      await Promise.all(
+        subscriptions.map((subscription) =>
+          this._enqueue(subscription, event, urlDoc, data)
+        )
+      );
+    } catch (error) {
+      logger.error("Failed to send webhook event", {
+        event,
+        shortcode: urlDoc.shortcode,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Send link.clicked for a counted human click, and link.click_threshold
+   * to subscriptions with a threshold at the new click count
+   */
+  notifyClick(urlDoc, click, clickCount) {
+    return Promise.all([
+      this.emit("link.clicked", urlDoc, { click }),
+      this.emit(
+        "link.click_threshold",
+        urlDoc,
+        { threshold: clickCount, clickCount },
+        (subscription) => subscription.clickThresholds.includes(clickCount)
+      ),
+    ]);
+  }
+
+  /**
+   * Store a delivery for one subscription and make its first attempt
+   */
+  async _enqueue(subscription, event, urlDoc, data) {
+    const now = new Date();
+    const delivery = {
+      subscription: subscription._id,
+      createdBy: subscription.createdBy,
+      event,
+      payload: {
+        id: crypto.randomUUID(),
+        event,
+        createdAt: now.toISOString(),
+        data: {
+          link: {
+            shortcode: urlDoc.shortcode,
+            shortLink: `${config.shortener.baseUrl}/${urlDoc.shortcode}`,
+            originalUrl: urlDoc.originalUrl,
+            expiresAt: urlDoc.expiresAt.toISOString(),
+          },
+          ...data,
+        },
+      },
+      status: "pending",
+      attempts: 0,
+      // Stored as claimed, so the retry poller leaves the first attempt to us
+      nextAttemptAt: this._claimUntil(now),
+    };
+
+    const created = await WebhookDelivery.create(delivery);
+    return this._attempt(
+      { ...delivery, _id: created._id, createdAt: created.createdAt },
+      subscription
+    );
+  }
+
+  /**
+   * How long a claimed delivery is left alone by other attempts
+   */
+  _claimUntil(now) {
+    return new Date(now.getTime() + this.options.timeoutMs * 2);
+  }
+
+  /**
+   * POST a delivery's payload to the subscription URL
+   * Resolves to the response status code; throws when no response came back
+   */
+  async _send(subscription, delivery) {
+    const targetError = this._checkTarget(subscription.url);
+    if (targetError) {
+      throw targetError;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "url-shortener-webhooks/1.0",
+        "X-Webhook-Id": delivery.payload.id,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${this.sign(
+          subscription.secret,
+          timestamp,
+          body
+        )}`,
+      },
+      // Sent exactly as signed
+      transformRequest: [(payload) => payload],
+      timeout: this.options.timeoutMs,
+      maxRedirects: 0,
+      maxContentLength: 64 * 1024,
+      validateStatus: () => true,
+      lookup: this.options.allowPrivateTargets
+        ? undefined
+        : lookupPublicAddress,
+    });
+
+    return response.status;
+  }
+
+  /**
+   * Make one delivery attempt and record its outcome
+   * A 2xx response delivers it. Otherwise it is retried with exponential
+   * backoff, or moved to the dead-letter list once out of attempts, or right
+   * away when its webhook is gone or points at a private address.
+   * Resolves to the updated delivery.
+   */
+  async _attempt(delivery, subscription = null) {
+    const target =
+      subscription ||
+      (await WebhookSubscription.findById(delivery.subscription).lean());
+    const attempts = delivery.attempts + 1;
+    let statusCode = null;
+    let error = null;
+    let isRetryable = true;
+
+    if (!target || !target.isActive) {
+      error = "Webhook no longer exists";
+      isRetryable = false;
+    } else {
+      try {
+        statusCode = await this._send(target, delivery);
+        if (statusCode < 200 || statusCode >= 300) {
+          error = `Receiver responded with HTTP ${statusCode}`;
+        }
+      } catch (sendError) {
+        error = sendError.message;
+        isRetryable = sendError.code !== BLOCKED_TARGET;
+      }
+    }
+
+    const now = new Date();
+    const update = {
+      attempts,
+      lastAttemptAt: now,
+      lastStatusCode: statusCode,
+      lastError: error,
+    };
+
+    if (!error) {
+      update.status = "delivered";
+      update.deliveredAt = now;
+    } else if (!isRetryable || attempts >= this.options.maxAttempts) {
+      update.status = "dead";
+    } else {
+      update.status = "pending";
+      update.nextAttemptAt = new Date(
+        now.getTime() + this.retryDelay(attempts)
+      );
+    }
+
+    await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update });
+
+    const details = {
+      deliveryId: String(delivery._id),
+      event: delivery.event,
+      attempts,
+      statusCode,
+    };
+    if (update.status === "delivered") {
+      logger.info("Webhook delivered", details);
+    } else if (update.status === "dead") {
+      logger.warn("Webhook delivery dead-lettered", { ...details, error });
+    } else {
+      logger.info("Webhook delivery failed, will retry", {
+        ...details,
+        error,
+        nextAttemptAt: update.nextAttemptAt,
+      });
+    }
+
+    return this._formatDelivery({ ...delivery, ...update });
+  }
+
+  /**
+   * Attempt deliveries whose retry is due, one batch at a time
+   * Each delivery is claimed first, so several instances can share the work
+   */
+  async processDueDeliveries() {
+    let processed = 0;
+
+    while (processed < this.options.batchSize) {
+      const now = new Date();
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: this._claimUntil(now) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      ).lean();
+
+      if (!delivery) {
+        break;
+      }
+
+      await this._attempt(delivery);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Send link.expired for links that expired since their owner subscribed
+   * to it, once per link
+   * The event means the link reached its expiresAt. It is sent for links
+   * that were deactivated earlier too, since expired links are themselves
+   * deactivated by the cleanup and the event must not depend on its timing.
+   */
+  async notifyExpiredLinks() {
+    const subscriptions = await WebhookSubscription.find({
+      isActive: true,
+      events: "link.expired",
+    })
+      .select("createdBy createdAt")
+      .lean();
+
+    if (subscriptions.length === 0) {
+      return 0;
+    }
+
+    // Links that expired before the owner's first subscription are left
+    // alone, so a new webhook is not flooded with old expiries
+    const subscribedSince = new Map();
+    for (const { createdBy, createdAt } of subscriptions) {
+      const since = subscribedSince.get(createdBy);
+      if (!since || createdAt < since) {
+        subscribedSince.set(createdBy, createdAt);
+      }
+    }
+
+    const now = new Date();
+    const expiredUrls = await Url.find({
+      $or: [...subscribedSince].map(([createdBy, since]) => ({
+        createdBy,
+        expiresAt: { $gt: since, $lte: now },
+      })),
+      expiryNotifiedAt: null,
+    })
+      .limit(this.options.batchSize)
+      .lean();
+
+    let notified = 0;
+    for (const urlDoc of expiredUrls) {
+      // Claim the link so another instance does not send the event as well
+      const claim = await Url.updateOne(
+        { _id: urlDoc._id, expiryNotifiedAt: null },
+        { $set: { expiryNotifiedAt: now } }
+      );
+      if (claim.modifiedCount === 0) {
+        continue;
+      }
+
+      await this.emit("link.expired", urlDoc, {
+        expiredAt: urlDoc.expiresAt.toISOString(),
+      });
+      notified++;
+    }
+
+    return notified;
+  }
+
+  /**
+   * Run due retries and the expiry check once, skipping a run while the
+   * previous one is still going
+   */
+  async poll() {
+    if (this.isPolling) {
+      return;
+    }
+
+    this.isPolling = true;
+    try {
+      await this.processDueDeliveries();
+      await this.notifyExpiredLinks();
+    } catch (error) {
+      logger.error("Webhook poll failed", { error: error.message });
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Poll on an interval until stopped
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.poll(), this.options.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new WebhookService();
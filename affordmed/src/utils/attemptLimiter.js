@@ -0,0 +1,102 @@
+/**
+ * Attempt Limiter
+ * Counts failed attempts per key inside a fixed window that opens with the
+ * key's first failure. Counts are kept in this process only, so a deployment
+ * of N instances allows up to N times maxAttempts per key.
+ */
+
+class AttemptLimiter {
+  constructor({ maxAttempts, windowMs }) {
+    this.maxAttempts = maxAttempts;
+    this.windowMs = windowMs;
+    this.attempts = new Map();
+    this.prunedAt = Date.now();
+  }
+
+  /**
+   * Drop the entries whose window has passed, at most once per window
+   */
+  _prune() {
+    const now = Date.now();
+    if (now - this.prunedAt < this.windowMs) {
+      return;
+    }
+
+    for (const [key, entry] of this.attempts) {
+      if (entry.resetAt <= now) {
+        this.attempts.delete(key);
+      }
+    }
+    this.prunedAt = now;
+  }
+
+  /**
+   * Get the live entry for a key, dropping it once its window has passed
+   */
+  _getEntry(key) {
+    const entry = this.attempts.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      this.attempts.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  /**
+   * Check whether a key has used up its attempts
+   */
+  isBlocked(key) {
+    const entry = this._getEntry(key);
+    return Boolean(entry) && entry.count >= this.maxAttempts;
+  }
+
+  /**
+   * Record a failed attempt for a key
+   */
+  recordFailure(key) {
+    const entry = this._getEntry(key);
+    if (entry) {
+      entry.count += 1;
+      return entry.count;
+    }
+
+    this._prune();
+    this.attempts.set(key, { count: 1, resetAt: Date.now() + this.windowMs });
+    return 1;
+  }
+
+  /**
+   * Count an attempt for a key before it is checked
+   * Returns false, without counting, when the key has used up its attempts.
+   * Counting up front keeps concurrent attempts from all passing the check;
+   * reset the key once an attempt succeeds.
+   */
+  reserve(key) {
+    if (this.isBlocked(key)) {
+      return false;
+    }
+
+    this.recordFailure(key);
+    return true;
+  }
+
+  /**
+   * Clear the attempts for a key
+   */
+  reset(key) {
+    this.attempts.delete(key);
+  }
+
+  /**
+   * Clear the attempts for every key starting with a prefix
+   */
+  resetPrefix(prefix) {
+    for (const key of this.attempts.keys()) {
+      if (key.startsWith(prefix)) {
+        this.attempts.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = AttemptLimiter;
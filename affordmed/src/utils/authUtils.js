@@ -51,6 +51,37 @@ function verifyToken(token) {
   }
 }
 
+/**
+ * Generate a short-lived token that opens one URL's live click stream
+ * It travels in the query string, as browsers' EventSource cannot send
+ * headers, so it carries only the client ID and has an audience of its own
+ * that no other endpoint accepts.
+ */
+function generateStreamToken(user, shortcode) {
+  return jwt.sign({ clientID: user.clientID, shortcode }, config.jwt.secret, {
+    expiresIn: config.live.streamTokenTtl,
+    issuer: config.jwt.issuer,
+    audience: `${config.jwt.audience}:live`
+  });
+}
+
+/**
+ * Verify a live stream token for a shortcode
+ */
+function verifyStreamToken(token, shortcode) {
+  try {
+    const decoded = jwt.verify(token, config.jwt.secret, {
+      issuer: config.jwt.issuer,
+      audience: `${config.jwt.audience}:live`
+    });
+
+    return decoded.shortcode === String(shortcode).toLowerCase() ? decoded : null;
+  } catch (error) {
+    logger.warn('Stream token verification failed', { error: error.message });
+    return null;
+  }
+}
+
 /**
  * Generate client credentials
  */
@@ -103,6 +134,8 @@ function getTokenExpiration() {
 module.exports = {
   generateToken,
   verifyToken,
+  generateStreamToken,
+  verifyStreamToken,
   generateClientCredentials,
   generateRandomString,
   extractTokenFromHeader,
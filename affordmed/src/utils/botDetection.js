@@ -0,0 +1,110 @@
+/**
+ * Bot Detection
+ * Recognises link-preview bots, crawlers, uptime checkers and HTTP tools from
+ * the request, and prefetch requests that are not visits at all
+ */
+
+// Checked in order: named signatures first, the generic catch-all last.
+// Add new bots here as they show up in the click logs.
+const BOT_SIGNATURES = [
+  // Link previews in chat apps and social networks
+  { name: 'Slackbot', pattern: /\bSlack(bot|-ImgProxy)\b/i },
+  { name: 'Twitterbot', pattern: /\bTwitterbot\b/i },
+  {
+    name: 'Facebook',
+    pattern: /\bfacebookexternalhit\b|\bFacebot\b|\bmeta-externalagent\b/i
+  },
+  { name: 'LinkedInBot', pattern: /\bLinkedInBot\b/i },
+  { name: 'Discordbot', pattern: /\bDiscordbot\b/i },
+  { name: 'TelegramBot', pattern: /\bTelegramBot\b/i },
+  { name: 'WhatsApp', pattern: /\bWhatsApp\//i },
+  { name: 'Skype', pattern: /\bSkypeUriPreview\b/i },
+  { name: 'Microsoft Teams', pattern: /\bMicrosoftPreview\//i },
+  { name: 'Pinterest', pattern: /\bPinterest(bot)?\//i },
+  { name: 'Reddit', pattern: /\bredditbot\b/i },
+  { name: 'Mastodon', pattern: /\bMastodon\//i },
+  { name: 'Bluesky', pattern: /\bCardyb\//i },
+  { name: 'Embedly', pattern: /\bEmbedly\b/i },
+  { name: 'Iframely', pattern: /\bIframely\b/i },
+  // Uptime and synthetic monitoring
+  { name: 'UptimeRobot', pattern: /\bUptimeRobot\b/i },
+  { name: 'Pingdom', pattern: /\bPingdom/i },
+  { name: 'StatusCake', pattern: /\bStatusCake\b/i },
+  { name: 'Site24x7', pattern: /\bSite24x7\b/i },
+  { name: 'Better Stack', pattern: /\bBetter ?(Uptime|Stack)\b/i },
+  { name: 'Uptime Kuma', pattern: /\bUptime-Kuma\b/i },
+  { name: 'Datadog', pattern: /\bDatadog/i },
+  { name: 'New Relic', pattern: /\bNewRelicPinger\b/i },
+  // Search engine crawlers
+  {
+    name: 'Googlebot',
+    pattern: /\bGooglebot\b|\bAdsBot-Google\b|\bGoogle-InspectionTool\b/i
+  },
+  { name: 'Bingbot', pattern: /\bbingbot\b|\bBingPreview\b/i },
+  { name: 'Applebot', pattern: /\bApplebot\b/i },
+  { name: 'DuckDuckBot', pattern: /\bDuckDuck(Bot|Go-Favicons-Bot)\b/i },
+  { name: 'YandexBot', pattern: /\bYandex(Bot|Images)\b/i },
+  { name: 'Baiduspider', pattern: /\bBaiduspider\b/i },
+  // HTTP libraries and headless browsers
+  { name: 'curl', pattern: /^curl\//i },
+  { name: 'Wget', pattern: /^Wget\//i },
+  {
+    name: 'Python',
+    pattern: /\bpython-(requests|urllib3|httpx)\b|^Python-urllib\//i
+  },
+  { name: 'Go', pattern: /^Go-http-client\//i },
+  { name: 'Node.js', pattern: /^(node-fetch|axios|undici)\b/i },
+  { name: 'Headless Chrome', pattern: /\bHeadlessChrome\b/ },
+  // Anything else that names itself a bot or links to its documentation
+  { name: 'Other bot', pattern: /(bot|crawler|spider)\/|\+https?:\/\//i }
+];
+
+/**
+ * Read a request header from a Node.js headers object
+ */
+function header(headers, name) {
+  const value = headers ? headers[name] : undefined;
+  return Array.isArray(value) ? value.join(', ') : value || '';
+}
+
+/**
+ * Tell whether a request comes from a bot
+ * extraSignatures are additional case-insensitive User-Agent substrings.
+ * Returns the bot's name, or null for a regular visitor.
+ */
+function detectBot(userAgent, headers = {}, extraSignatures = []) {
+  // Browsers always send a User-Agent and never the crawler contact header
+  if (!userAgent || !userAgent.trim()) {
+    return 'No User-Agent';
+  }
+  if (header(headers, 'from')) {
+    return 'Other bot';
+  }
+
+  const lowerUserAgent = userAgent.toLowerCase();
+  const extra = extraSignatures.find((signature) =>
+    lowerUserAgent.includes(signature.toLowerCase())
+  );
+  if (extra) {
+    return extra;
+  }
+
+  const match = BOT_SIGNATURES.find(({ pattern }) => pattern.test(userAgent));
+  return match ? match.name : null;
+}
+
+/**
+ * Tell whether a request is a prefetch or preview hint rather than a visit
+ * (Purpose: prefetch, Sec-Purpose: prefetch, X-Purpose: preview, X-Moz: prefetch)
+ */
+function isPrefetch(headers = {}) {
+  return ['purpose', 'sec-purpose', 'x-purpose', 'x-moz'].some((name) =>
+    /\b(prefetch|preview)\b/i.test(header(headers, name))
+  );
+}
+
+module.exports = {
+  BOT_SIGNATURES,
+  detectBot,
+  isPrefetch
+};
@@ -0,0 +1,23 @@
+/**
+ * Breakdown Dimensions
+ * Click event fields that link analytics can be broken down by
+ */
+
+// Click event field behind each dimension; referrers are grouped by domain
+const BREAKDOWN_FIELDS = {
+  country: 'geoLocation.country',
+  region: 'geoLocation.region',
+  city: 'geoLocation.city',
+  referrer: 'referrer',
+  device: 'device',
+  os: 'os',
+  browser: 'browser',
+  userAgent: 'userAgent'
+};
+
+const BREAKDOWN_DIMENSIONS = Object.keys(BREAKDOWN_FIELDS);
+
+module.exports = {
+  BREAKDOWN_FIELDS,
+  BREAKDOWN_DIMENSIONS
+};
@@ -0,0 +1,113 @@
+/**
+ * Click Export
+ * Flattens click events into rows and writes them as CSV or NDJSON
+ */
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Columns of an exported click, in order; nested fields are flattened
+const EXPORT_COLUMNS = [
+  'timestamp',
+  'shortcode',
+  'referrer',
+  'country',
+  'countryCode',
+  'region',
+  'regionCode',
+  'city',
+  'visitorId',
+  'userAgent',
+  'device',
+  'os',
+  'browser',
+  'destination',
+  'matchedRule',
+  'variant',
+  'isQrScan',
+  'isBot',
+  'botName'
+];
+
+/**
+ * Flatten a click event into one value per export column
+ * Missing values are null
+ */
+function flattenClickEvent(event) {
+  const geoLocation = event.geoLocation || {};
+
+  return {
+    timestamp: new Date(event.timestamp).toISOString(),
+    shortcode: event.shortcode,
+    referrer: event.referrer ?? null,
+    country: geoLocation.country ?? null,
+    countryCode: geoLocation.countryCode ?? null,
+    region: geoLocation.region ?? null,
+    regionCode: geoLocation.regionCode ?? null,
+    city: geoLocation.city ?? null,
+    visitorId: event.visitorId ?? null,
+    userAgent: event.userAgent ?? null,
+    device: event.device ?? null,
+    os: event.os ?? null,
+    browser: event.browser ?? null,
+    destination: event.destination ?? null,
+    matchedRule: event.matchedRule ?? null,
+    variant: event.variant ?? null,
+    isQrScan: Boolean(event.isQrScan),
+    isBot: Boolean(event.isBot),
+    botName: event.botName ?? null
+  };
+}
+
+/**
+ * Write one CSV field (RFC 4180)
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheets do not
+ * run referrers or User-Agents as formulas
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write one CSV line
+ */
+function csvLine(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+/**
+ * Turn click events into lines of the export format, one at a time
+ * CSV starts with a header line; NDJSON has one JSON object per line
+ */
+async function* formatClickEvents(events, format) {
+  if (format === 'csv') {
+    yield csvLine(EXPORT_COLUMNS);
+  }
+
+  for await (const event of events) {
+    const row = flattenClickEvent(event);
+    yield format === 'csv'
+      ? csvLine(EXPORT_COLUMNS.map((column) => row[column]))
+      : `${JSON.stringify(row)}\n`;
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  CONTENT_TYPES,
+  flattenClickEvent,
+  formatClickEvents
+};
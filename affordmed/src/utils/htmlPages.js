@@ -0,0 +1,105 @@
+/**
+ * HTML Pages
+ * Minimal server-rendered pages for the public redirect endpoints
+ */
+
+/**
+ * Escape text for safe use in HTML content and attributes
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap page content in the shared layout
+ */
+function renderLayout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f4f5f7; margin: 0; }
+    main { max-width: 420px; margin: 10vh auto; background: #fff; padding: 2rem; border-radius: 8px; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.1); }
+    h1 { font-size: 1.25rem; margin-top: 0; }
+    input, button { width: 100%; box-sizing: border-box; padding: 0.6rem; font-size: 1rem; margin-top: 0.5rem; }
+    button, .button { background: #2563eb; color: #fff; border: 0; border-radius: 4px; cursor: pointer; }
+    .button { display: block; text-align: center; text-decoration: none; padding: 0.6rem; margin-top: 1rem; }
+    .destination { word-break: break-all; }
+    .error { color: #b91c1c; }
+  </style>
+</head>
+<body>
+  <main>
+${body}
+  </main>
+</body>
+</html>`;
+}
+
+/**
+ * Format a date for display on a page
+ */
+function formatDate(value) {
+  return new Date(value).toUTCString();
+}
+
+/**
+ * Render the preview page for a short link
+ */
+function renderPreviewPage({
+  shortcode,
+  shortLink,
+  originalUrl,
+  createdAt,
+  expiry
+}) {
+  const destination = originalUrl
+    ? `<a href="${escapeHtml(originalUrl)}" rel="nofollow noopener">${escapeHtml(originalUrl)}</a>`
+    : 'Hidden (this link is password protected)';
+
+  return renderLayout(
+    'Link preview',
+    `    <h1>Where does this link go?</h1>
+    <p><strong>Short link:</strong> ${escapeHtml(shortLink)}</p>
+    <p><strong>Destination:</strong> <span class="destination">${destination}</span></p>
+    <p><strong>Created:</strong> ${escapeHtml(formatDate(createdAt))}</p>
+    <p><strong>Expires:</strong> ${escapeHtml(formatDate(expiry))}</p>
+    <a class="button" href="/${encodeURIComponent(shortcode)}">Continue</a>`
+  );
+}
+
+/**
+ * Render the password prompt for a protected short link
+ * `action` keeps the extra path and query of pass-through links on submit
+ */
+function renderPasswordPage({ shortcode, action = null, error = null }) {
+  const errorMessage = error
+    ? `    <p class="error" role="alert">${escapeHtml(error)}</p>\n`
+    : '';
+  const formAction = action || `/${encodeURIComponent(shortcode)}`;
+
+  return renderLayout(
+    'Password required',
+    `    <h1>This link is password protected</h1>
+${errorMessage}    <form method="post" action="${escapeHtml(formAction)}">
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" autocomplete="current-password" required autofocus>
+      <button type="submit">Continue</button>
+    </form>`
+  );
+}
+
+module.exports = {
+  escapeHtml,
+  renderPreviewPage,
+  renderPasswordPage
+};
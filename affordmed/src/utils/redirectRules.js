@@ -0,0 +1,273 @@
+/**
+ * Redirect Rules
+ * Picks the destination of a click from a link's targeting rules and
+ * carries the short link's extra path, query and UTM tags over to it
+ */
+
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+/**
+ * Compare two location values case-insensitively
+ */
+function sameValue(a, b) {
+  return Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Check whether a geo rule matches a click location
+ * Countries match the ISO code or the country name; regions match the
+ * region code or name. A rule with both lists needs both to match.
+ */
+function geoRuleMatches(rule, geoLocation) {
+  const location = geoLocation || {};
+  const countries = rule.countries || [];
+  const regions = rule.regions || [];
+
+  if (countries.length === 0 && regions.length === 0) {
+    return false;
+  }
+
+  const countryMatches =
+    countries.length === 0 ||
+    countries.some(
+      (country) =>
+        sameValue(country, location.countryCode) ||
+        sameValue(country, location.country)
+    );
+
+  const regionMatches =
+    regions.length === 0 ||
+    regions.some(
+      (region) =>
+        sameValue(region, location.regionCode) ||
+        sameValue(region, location.region)
+    );
+
+  return countryMatches && regionMatches;
+}
+
+/**
+ * Check whether a device rule matches a parsed User-Agent
+ * A rule with both device types and operating systems needs both to match.
+ */
+function deviceRuleMatches(rule, client) {
+  const info = client || {};
+  const devices = rule.devices || [];
+  const systems = rule.os || [];
+
+  if (devices.length === 0 && systems.length === 0) {
+    return false;
+  }
+
+  const deviceMatches =
+    devices.length === 0 ||
+    devices.some((device) => sameValue(device, info.device));
+
+  const osMatches =
+    systems.length === 0 || systems.some((os) => sameValue(os, info.os));
+
+  return deviceMatches && osMatches;
+}
+
+/**
+ * Find the first rule accepted by a matcher
+ * Returns { url, label } or null when no rule matches
+ */
+function matchFirstRule(rules, matches, prefix) {
+  if (!rules || rules.length === 0) {
+    return null;
+  }
+
+  const index = rules.findIndex(matches);
+  if (index === -1) {
+    return null;
+  }
+
+  const rule = rules[index];
+  return {
+    url: rule.url,
+    label: `${prefix}:${rule.name || index + 1}`
+  };
+}
+
+/**
+ * Find the first geo rule matching a click location
+ * Returns { url, label } or null when the link's default destination applies
+ */
+function matchGeoRule(rules, geoLocation) {
+  return matchFirstRule(
+    rules,
+    (rule) => geoRuleMatches(rule, geoLocation),
+    'geo'
+  );
+}
+
+/**
+ * Find the first device rule matching a parsed User-Agent
+ * Returns { url, label } or null when the link's default destination applies
+ */
+function matchDeviceRule(rules, client) {
+  return matchFirstRule(
+    rules,
+    (rule) => deviceRuleMatches(rule, client),
+    'device'
+  );
+}
+
+/**
+ * Pick an A/B variant at random, in proportion to the variant weights
+ * `random` returns a number in [0, 1) and can be replaced in tests
+ */
+function pickVariant(variants, random = Math.random) {
+  if (!variants || variants.length === 0) {
+    return null;
+  }
+
+  const totalWeight = variants.reduce(
+    (sum, variant) => sum + variant.weight,
+    0
+  );
+  let point = random() * totalWeight;
+
+  for (const variant of variants) {
+    point -= variant.weight;
+    if (point < 0) {
+      return variant;
+    }
+  }
+
+  return variants[variants.length - 1];
+}
+
+/**
+ * Pick the destination of a click
+ * Geo rules are checked first, then device rules; otherwise the link serves
+ * one of its A/B variants, or the original URL when it has none.
+ * Returns { url, matchedRule, variant }; matchedRule and variant are null
+ * when they played no part.
+ */
+function resolveDestination(
+  urlDoc,
+  { geoLocation, client },
+  random = Math.random
+) {
+  const match =
+    matchGeoRule(urlDoc.geoRules, geoLocation) ||
+    matchDeviceRule(urlDoc.deviceRules, client);
+
+  if (match) {
+    return { url: match.url, matchedRule: match.label, variant: null };
+  }
+
+  const variant = pickVariant(urlDoc.variants, random);
+  if (variant) {
+    return { url: variant.url, matchedRule: null, variant: variant.name };
+  }
+
+  return { url: urlDoc.originalUrl, matchedRule: null, variant: null };
+}
+
+/**
+ * Check whether a path segment is "." or "..", including encoded forms
+ */
+function isDotSegment(segment) {
+  let decoded = segment;
+  try {
+    decoded = decodeURIComponent(segment);
+  } catch (error) {
+    return false;
+  }
+  return decoded === '.' || decoded === '..';
+}
+
+/**
+ * Carry the extra path and query of a short link request over to a destination
+ * Extra path segments are appended to the destination path ("." and ".." are
+ * dropped). Query parameters are appended after the destination's own; when a
+ * name is on both, the destination keeps its value and the incoming one is
+ * dropped, so visitors cannot override parameters set by the link owner.
+ */
+function applyPassThrough(destination, { pathSegments = [], query = '' }) {
+  const url = new URL(destination);
+
+  const segments = pathSegments.filter(
+    (segment) => segment && !isDotSegment(segment)
+  );
+  if (segments.length > 0) {
+    url.pathname = `${url.pathname.replace(/\/+$/, '')}/${segments.join('/')}`;
+  }
+
+  // Rebuild only the appended part so the destination query stays untouched
+  const ownNames = new Set(new URLSearchParams(url.search).keys());
+  const extra = new URLSearchParams();
+  for (const [name, value] of new URLSearchParams(query)) {
+    if (!ownNames.has(name)) {
+      extra.append(name, value);
+    }
+  }
+
+  const extraQuery = extra.toString();
+  if (extraQuery) {
+    url.search = url.search ? `${url.search}&${extraQuery}` : `?${extraQuery}`;
+  }
+
+  return url.toString();
+}
+
+/**
+ * Read the decoded name of a raw "name=value" query pair
+ */
+function queryPairName(pair) {
+  const rawName = pair.split('=')[0].replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(rawName);
+  } catch (error) {
+    return rawName;
+  }
+}
+
+/**
+ * Tag a destination with a link's UTM parameters
+ * In "preserve" mode UTM parameters already on the destination keep their
+ * value; in "override" mode the link's values replace them. Other parameters
+ * are left exactly as they are.
+ */
+function applyUtm(destination, utm, mode = 'preserve') {
+  const tags = UTM_FIELDS.filter((field) => utm && utm[field]).map((field) => [
+    `utm_${field}`,
+    utm[field]
+  ]);
+  if (tags.length === 0) {
+    return destination;
+  }
+
+  const url = new URL(destination);
+  let pairs = url.search ? url.search.slice(1).split('&') : [];
+  const existing = new Set(pairs.map(queryPairName));
+
+  const added = tags.filter(
+    ([name]) => mode === 'override' || !existing.has(name)
+  );
+  if (mode === 'override') {
+    const replaced = new Set(added.map(([name]) => name));
+    pairs = pairs.filter((pair) => !replaced.has(queryPairName(pair)));
+  }
+
+  const addedQuery = new URLSearchParams(added).toString();
+  const query = [...pairs, addedQuery].filter(Boolean).join('&');
+  url.search = query ? `?${query}` : '';
+
+  return url.toString();
+}
+
+module.exports = {
+  UTM_FIELDS,
+  geoRuleMatches,
+  deviceRuleMatches,
+  matchGeoRule,
+  matchDeviceRule,
+  pickVariant,
+  resolveDestination,
+  applyPassThrough,
+  applyUtm
+};
@@ -0,0 +1,152 @@
+/**
+ * Time Buckets
+ * Calendar buckets (minute, hour, day, week) in an IANA time zone, matching
+ * how the analytics aggregation groups click events
+ */
+
+const INTERVALS = ['minute', 'hour', 'day', 'week'];
+
+// Nominal length of each interval; days and weeks vary around DST changes
+const INTERVAL_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that reports wall-clock time in a time zone
+ */
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+      })
+    );
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Check whether a string names a time zone the runtime knows
+ */
+function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock { year, month, day, hour, minute } of a time in a time zone
+ */
+function zonedParts(time, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(time)) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Offset of a time zone from UTC at a moment, in milliseconds
+ */
+function offsetAt(time, timezone) {
+  const { year, month, day, hour, minute } = zonedParts(time, timezone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // Time zones shift by whole minutes, so compare at minute precision
+  return wallClock - (time - (time % INTERVAL_MS.minute));
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a Date
+ */
+function fromZonedParts({ year, month, day, hour = 0, minute = 0 }, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // The offset at the wall-clock reading can belong to the other side of a
+  // DST change, so check it again at the first guess
+  const guess = wallClock - offsetAt(wallClock, timezone);
+  return new Date(wallClock - offsetAt(guess, timezone));
+}
+
+/**
+ * Start of the bucket containing a time; weeks start on Monday
+ */
+function bucketStart(time, interval, timezone) {
+  const parts = zonedParts(time, timezone);
+
+  switch (interval) {
+    case 'minute':
+      return fromZonedParts(parts, timezone);
+    case 'hour':
+      return fromZonedParts({ ...parts, minute: 0 }, timezone);
+    case 'day':
+      return fromZonedParts({ ...parts, hour: 0, minute: 0 }, timezone);
+    case 'week': {
+      const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+      const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+      date.setUTCDate(date.getUTCDate() - daysSinceMonday);
+      return fromZonedParts(
+        {
+          year: date.getUTCFullYear(),
+          month: date.getUTCMonth() + 1,
+          day: date.getUTCDate()
+        },
+        timezone
+      );
+    }
+    default:
+      throw new Error(`Unknown interval: ${interval}`);
+  }
+}
+
+/**
+ * Starts of every bucket overlapping [from, to)
+ */
+function bucketStarts(from, to, interval, timezone) {
+  const starts = [];
+  let start = bucketStart(from, interval, timezone);
+
+  while (start < to) {
+    starts.push(start);
+    // One and a half intervals always lands in the next bucket, even when a
+    // DST change makes a day or week shorter or longer
+    start = bucketStart(
+      new Date(start.getTime() + INTERVAL_MS[interval] * 1.5),
+      interval,
+      timezone
+    );
+  }
+
+  return starts;
+}
+
+/**
+ * Upper bound on the number of buckets in [from, to)
+ */
+function countBuckets(from, to, interval) {
+  return Math.ceil((to - from) / INTERVAL_MS[interval]) + 1;
+}
+
+module.exports = {
+  INTERVALS,
+  INTERVAL_MS,
+  isValidTimezone,
+  bucketStart,
+  bucketStarts,
+  countBuckets
+};
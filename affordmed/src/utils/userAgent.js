@@ -0,0 +1,80 @@
+/**
+ * User-Agent Parser
+ * Extracts the device type, operating system and browser from a User-Agent
+ */
+
+const DEVICE_TYPES = ['desktop', 'mobile', 'tablet'];
+
+const OS_NAMES = ['iOS', 'Android', 'Windows', 'macOS', 'Linux', 'ChromeOS'];
+
+// Checked in order: iOS and Android before the desktop systems they mimic
+const OS_PATTERNS = [
+  { name: 'iOS', pattern: /\b(iPhone|iPad|iPod)\b/ },
+  { name: 'Android', pattern: /\bAndroid\b/ },
+  { name: 'ChromeOS', pattern: /\bCrOS\b/ },
+  { name: 'Windows', pattern: /\bWindows\b/ },
+  { name: 'macOS', pattern: /\bMacintosh\b|\bMac OS X\b/ },
+  { name: 'Linux', pattern: /\bLinux\b/ }
+];
+
+// Checked in order: most Chromium browsers also claim to be Chrome and Safari
+const BROWSER_PATTERNS = [
+  { name: 'Edge', pattern: /\bEdg(e|A|iOS)?\// },
+  { name: 'Opera', pattern: /\bOPR\/|\bOpera\b/ },
+  { name: 'Samsung Internet', pattern: /\bSamsungBrowser\// },
+  { name: 'Firefox', pattern: /\bFirefox\/|\bFxiOS\// },
+  { name: 'Chrome', pattern: /\bChrome\/|\bCriOS\// },
+  { name: 'Safari', pattern: /\bSafari\// }
+];
+
+/**
+ * Return the name of the first pattern matching the User-Agent
+ */
+function firstMatch(patterns, userAgent) {
+  const match = patterns.find(({ pattern }) => pattern.test(userAgent));
+  return match ? match.name : null;
+}
+
+/**
+ * Work out the device type from the User-Agent and its operating system
+ */
+function detectDevice(userAgent, os) {
+  if (/\biPad\b|\bTablet\b/i.test(userAgent)) {
+    return 'tablet';
+  }
+  // Android tablets leave "Mobile" out of the User-Agent
+  if (os === 'Android') {
+    return /\bMobile\b/.test(userAgent) ? 'mobile' : 'tablet';
+  }
+  if (/\bMobi|\biPhone\b|\biPod\b/.test(userAgent)) {
+    return 'mobile';
+  }
+  if (os) {
+    return 'desktop';
+  }
+  return null;
+}
+
+/**
+ * Parse a User-Agent header
+ * Returns { device, os, browser }; fields that cannot be told are null
+ */
+function parseUserAgent(userAgent) {
+  if (!userAgent || typeof userAgent !== 'string') {
+    return { device: null, os: null, browser: null };
+  }
+
+  const os = firstMatch(OS_PATTERNS, userAgent);
+
+  return {
+    device: detectDevice(userAgent, os),
+    os,
+    browser: firstMatch(BROWSER_PATTERNS, userAgent)
+  };
+}
+
+module.exports = {
+  DEVICE_TYPES,
+  OS_NAMES,
+  parseUserAgent
+};
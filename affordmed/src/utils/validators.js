@@ -6,29 +6,208 @@
 const Joi = require('joi');
 const Url = require('../models/Url');
 const { logger } = require('../middleware/logger');
+const config = require('../config/config');
+const { DEVICE_TYPES, OS_NAMES } = require('./userAgent');
+const { UTM_FIELDS } = require('./redirectRules');
+const { INTERVALS, isValidTimezone } = require('./timeBuckets');
+const { BREAKDOWN_DIMENSIONS } = require('./breakdowns');
+const { EXPORT_FORMATS } = require('./clickExport');
+
+/**
+ * Destination URL rule shared by create and update
+ */
+const destinationUrl = Joi.string()
+  .uri({ scheme: ['http', 'https'] })
+  .messages({
+    'string.uri': 'URL must be a valid HTTP or HTTPS URL',
+    'any.required': 'URL is required'
+  });
+
+/**
+ * Validity rule (minutes from now) shared by create and update
+ */
+const validityMinutes = Joi.number()
+  .integer()
+  .min(1)
+  .max(config.shortener.maxValidity)
+  .messages({
+    'number.base': 'Validity must be a number',
+    'number.integer': 'Validity must be an integer',
+    'number.min': 'Validity must be at least 1 minute',
+    'number.max': `Validity cannot exceed ${config.shortener.maxValidity} minutes`
+  });
+
+/**
+ * Geo-targeting rule: countries (ISO codes or names) and/or regions to a URL
+ */
+const geoRule = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-zA-Z0-9_-]+$/)
+    .max(50)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Rule name can only contain letters, numbers, hyphens, and underscores'
+    }),
+  countries: Joi.array()
+    .items(Joi.string().trim().min(2).max(60))
+    .max(250)
+    .optional(),
+  regions: Joi.array()
+    .items(Joi.string().trim().min(1).max(100))
+    .max(100)
+    .optional(),
+  url: destinationUrl.required()
+})
+  .or('countries', 'regions')
+  .messages({
+    'object.missing': 'Each geo rule needs countries or regions'
+  });
+
+const geoRules = Joi.array()
+  .items(geoRule)
+  .max(50)
+  .messages({
+    'array.base': 'geoRules must be an array',
+    'array.max': 'A URL cannot have more than 50 geo rules'
+  });
+
+/**
+ * HTTP status used when redirecting visitors
+ */
+const redirectStatus = Joi.number()
+  .valid(...config.shortener.redirectStatusCodes)
+  .messages({
+    'any.only': `Redirect status must be one of: ${config.shortener.redirectStatusCodes.join(', ')}`
+  });
+
+/**
+ * UTM tags added to the destination at redirect time
+ */
+const utm = Joi.object(
+  Object.fromEntries(
+    UTM_FIELDS.map((field) => [
+      field,
+      Joi.string().trim().max(200).optional().messages({
+        'string.base': `utm.${field} must be a string`,
+        'string.empty': `utm.${field} cannot be empty`,
+        'string.max': `utm.${field} cannot exceed 200 characters`
+      })
+    ])
+  )
+)
+  .min(1)
+  .messages({
+    'object.base': 'utm must be an object',
+    'object.min': `utm needs at least one of: ${UTM_FIELDS.join(', ')}`,
+    'object.unknown': `utm fields must be one of: ${UTM_FIELDS.join(', ')}`
+  });
+
+const utmPreset = Joi.string().max(50).messages({
+  'string.base': 'utmPreset must be a string',
+  'string.max': 'utmPreset cannot exceed 50 characters'
+});
+
+const utmMode = Joi.string().valid('preserve', 'override').messages({
+  'any.only': 'utmMode must be either preserve or override'
+});
+
+/**
+ * A/B variant: a named destination served in proportion to its weight
+ */
+const variant = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-zA-Z0-9_-]+$/)
+    .max(50)
+    .required()
+    .messages({
+      'string.pattern.base': 'Variant name can only contain letters, numbers, hyphens, and underscores',
+      'any.required': 'Each variant needs a name'
+    }),
+  url: destinationUrl.required(),
+  weight: Joi.number().integer().min(1).max(1000).required().messages({
+    'number.base': 'Variant weight must be a number',
+    'number.integer': 'Variant weight must be a whole number',
+    'number.min': 'Variant weight must be at least 1',
+    'number.max': 'Variant weight cannot exceed 1000',
+    'any.required': 'Each variant needs a weight'
+  })
+});
+
+const variants = Joi.array()
+  .items(variant)
+  .min(2)
+  .max(10)
+  .unique('name', { ignoreUndefined: true })
+  .messages({
+    'array.base': 'variants must be an array',
+    'array.min': 'An A/B split needs at least 2 variants',
+    'array.max': 'A URL cannot have more than 10 variants',
+    'array.unique': 'Variant names must be unique'
+  });
+
+/**
+ * Device-targeting rule: device types and/or operating systems to a URL
+ */
+const deviceRule = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-zA-Z0-9_-]+$/)
+    .max(50)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Rule name can only contain letters, numbers, hyphens, and underscores'
+    }),
+  devices: Joi.array()
+    .items(Joi.string().valid(...DEVICE_TYPES).insensitive())
+    .optional()
+    .messages({
+      'any.only': `Device must be one of: ${DEVICE_TYPES.join(', ')}`
+    }),
+  os: Joi.array()
+    .items(Joi.string().valid(...OS_NAMES).insensitive())
+    .optional()
+    .messages({
+      'any.only': `OS must be one of: ${OS_NAMES.join(', ')}`
+    }),
+  url: destinationUrl.required()
+})
+  .or('devices', 'os')
+  .messages({
+    'object.missing': 'Each device rule needs devices or os'
+  });
+
+const deviceRules = Joi.array()
+  .items(deviceRule)
+  .max(50)
+  .messages({
+    'array.base': 'deviceRules must be an array',
+    'array.max': 'A URL cannot have more than 50 device rules'
+  });
 
 /**
  * URL validation schema
  */
 const urlSchema = Joi.object({
-  url: Joi.string()
-    .uri({ scheme: ['http', 'https'] })
-    .required()
+  url: destinationUrl.required(),
+  validity: validityMinutes.optional(),
+  activatesAt: Joi.date()
+    .iso()
+    .optional()
     .messages({
-      'string.uri': 'URL must be a valid HTTP or HTTPS URL',
-      'any.required': 'URL is required'
+      'date.base': 'activatesAt must be an ISO 8601 date',
+      'date.format': 'activatesAt must be an ISO 8601 date'
     }),
-  validity: Joi.number()
-    .integer()
-    .min(1)
-    .max(1440) // 24 hours in minutes
+  expiresAt: Joi.date()
+    .iso()
+    .greater('now')
     .optional()
-    .default(30)
+    .when('activatesAt', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('activatesAt'))
+    })
     .messages({
-      'number.base': 'Validity must be a number',
-      'number.integer': 'Validity must be an integer',
-      'number.min': 'Validity must be at least 1 minute',
-      'number.max': 'Validity cannot exceed 24 hours (1440 minutes)'
+      'date.base': 'expiresAt must be an ISO 8601 date',
+      'date.format': 'expiresAt must be an ISO 8601 date',
+      'date.greater': 'expiresAt must be in the future and after activatesAt'
     }),
   shortcode: Joi.string()
     .pattern(/^[a-zA-Z0-9_-]+$/)
@@ -39,9 +218,108 @@ const urlSchema = Joi.object({
       'string.pattern.base': 'Shortcode can only contain letters, numbers, hyphens, and underscores',
       'string.min': 'Shortcode must be at least 3 characters long',
       'string.max': 'Shortcode cannot exceed 20 characters'
+    }),
+  maxClicks: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .messages({
+      'number.base': 'maxClicks must be a number',
+      'number.integer': 'maxClicks must be an integer',
+      'number.min': 'maxClicks must be at least 1'
+    }),
+  password: Joi.string()
+    .min(4)
+    .max(128)
+    .optional()
+    .messages({
+      'string.base': 'Password must be a string',
+      'string.min': 'Password must be at least 4 characters long',
+      'string.max': 'Password cannot exceed 128 characters'
+    }),
+  geoRules: geoRules.optional(),
+  deviceRules: deviceRules.optional(),
+  variants: variants.optional(),
+  redirectStatus: redirectStatus.optional(),
+  passThrough: Joi.boolean().optional().messages({
+    'boolean.base': 'passThrough must be a boolean'
+  }),
+  utm: utm.optional(),
+  utmPreset: utmPreset.optional(),
+  utmMode: utmMode.optional()
+})
+  .oxor('validity', 'expiresAt')
+  .messages({
+    'object.oxor': 'Provide either validity or expiresAt, not both'
+  });
+
+/**
+ * Batch creation schema (items are validated one by one)
+ */
+const batchSchema = Joi.object({
+  urls: Joi.array()
+    .items(Joi.object().unknown(true))
+    .min(1)
+    .max(config.shortener.maxBatchSize)
+    .required()
+    .messages({
+      'array.base': 'urls must be an array',
+      'array.min': 'urls must contain at least one item',
+      'array.max': `urls cannot contain more than ${config.shortener.maxBatchSize} items`,
+      'object.base': 'Each item must be an object',
+      'any.required': 'urls is required'
     })
 });
 
+/**
+ * URL update schema
+ */
+const urlUpdateSchema = Joi.object({
+  url: destinationUrl.optional(),
+  validity: validityMinutes.optional(),
+  isActive: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'isActive must be true or false'
+    }),
+  password: Joi.string()
+    .min(4)
+    .max(128)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.base': 'Password must be a string or null',
+      'string.min': 'Password must be at least 4 characters long',
+      'string.max': 'Password cannot exceed 128 characters'
+    }),
+  geoRules: geoRules.allow(null).optional(),
+  deviceRules: deviceRules.allow(null).optional(),
+  variants: variants.allow(null).optional(),
+  redirectStatus: redirectStatus.allow(null).optional(),
+  passThrough: Joi.boolean().optional().messages({
+    'boolean.base': 'passThrough must be a boolean'
+  }),
+  utm: utm.allow(null).optional(),
+  utmPreset: utmPreset.allow(null).optional(),
+  utmMode: utmMode.optional(),
+  metadata: Joi.object()
+    .pattern(
+      Joi.string().max(50),
+      Joi.string().max(500).allow(null)
+    )
+    .max(20)
+    .optional()
+    .messages({
+      'object.base': 'Metadata must be an object of string values',
+      'object.max': 'Metadata cannot have more than 20 keys',
+      'string.base': 'Metadata values must be strings or null'
+    })
+})
+  .min(1)
+  .messages({
+    'object.min': 'At least one of url, validity, isActive, password, geoRules, deviceRules, variants, redirectStatus, passThrough, utm, utmPreset, utmMode or metadata is required'
+  });
+
 /**
  * Shortcode validation schema
  */
@@ -57,6 +335,262 @@ const shortcodeSchema = Joi.string()
     'any.required': 'Shortcode is required'
   });
 
+/**
+ * URL listing query schema
+ */
+const listQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid('active', 'scheduled', 'expired', 'deactivated')
+    .optional()
+    .messages({
+      'any.only': 'Status must be one of active, scheduled, expired or deactivated'
+    }),
+  createdFrom: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'createdFrom must be an ISO 8601 date'
+    }),
+  createdTo: Joi.date()
+    .iso()
+    .optional()
+    .when('createdFrom', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('createdFrom'))
+    })
+    .messages({
+      'date.format': 'createdTo must be an ISO 8601 date',
+      'date.min': 'createdTo must not be before createdFrom'
+    }),
+  search: Joi.string()
+    .trim()
+    .max(200)
+    .optional()
+    .messages({
+      'string.max': 'Search cannot exceed 200 characters'
+    }),
+  sortBy: Joi.string()
+    .valid('createdAt', 'expiresAt', 'clickCount')
+    .optional()
+    .default('createdAt')
+    .messages({
+      'any.only': 'sortBy must be one of createdAt, expiresAt or clickCount'
+    }),
+  order: Joi.string()
+    .valid('asc', 'desc')
+    .optional()
+    .default('desc')
+    .messages({
+      'any.only': 'Order must be asc or desc'
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .optional()
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    }),
+  cursor: Joi.string()
+    .base64({ urlSafe: true, paddingRequired: false })
+    .optional()
+    .messages({
+      'string.base64': 'Cursor is malformed'
+    })
+});
+
+/**
+ * Bot clicks are left out of stats and analytics unless includeBots=true
+ */
+const includeBots = Joi.boolean().optional().default(false).messages({
+  'boolean.base': 'includeBots must be true or false'
+});
+
+/**
+ * Stats query schema (click events are paged newest first)
+ */
+const statsQuerySchema = Joi.object({
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(500)
+    .optional()
+    .default(50)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 500'
+    }),
+  cursor: Joi.string()
+    .base64({ urlSafe: true, paddingRequired: false })
+    .optional()
+    .messages({
+      'string.base64': 'Cursor is malformed'
+    }),
+  includeBots
+});
+
+/**
+ * QR code query schema
+ */
+const hexColor = Joi.string()
+  .pattern(/^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/)
+  .custom((value) => (value.startsWith('#') ? value : `#${value}`));
+
+const qrQuerySchema = Joi.object({
+  format: Joi.string()
+    .valid('svg', 'png')
+    .optional()
+    .default('svg')
+    .messages({
+      'any.only': 'Format must be svg or png'
+    }),
+  size: Joi.number()
+    .integer()
+    .min(config.shortener.qrCodes.minSize)
+    .max(config.shortener.qrCodes.maxSize)
+    .optional()
+    .default(config.shortener.qrCodes.defaultSize)
+    .messages({
+      'number.base': 'Size must be a number',
+      'number.integer': 'Size must be an integer',
+      'number.min': `Size must be at least ${config.shortener.qrCodes.minSize} pixels`,
+      'number.max': `Size cannot exceed ${config.shortener.qrCodes.maxSize} pixels`
+    }),
+  ecc: Joi.string()
+    .uppercase()
+    .valid('L', 'M', 'Q', 'H')
+    .optional()
+    .default('M')
+    .messages({
+      'any.only': 'Error correction level must be one of L, M, Q or H'
+    }),
+  fg: hexColor.optional().default('#000000').messages({
+    'string.pattern.base': 'fg must be a hex colour such as 000000 or #000'
+  }),
+  bg: hexColor.optional().default('#ffffff').messages({
+    'string.pattern.base': 'bg must be a hex colour such as ffffff or #fff'
+  })
+});
+
+/**
+ * Date range shared by the analytics queries
+ */
+const analyticsRange = {
+  from: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'from must be an ISO 8601 date'
+    }),
+  to: Joi.date()
+    .iso()
+    .optional()
+    .when('from', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('from'))
+    })
+    .messages({
+      'date.format': 'to must be an ISO 8601 date',
+      'date.greater': 'to must be after from'
+    })
+};
+
+/**
+ * Time-series analytics query schema
+ */
+const timeseriesQuerySchema = Joi.object({
+  interval: Joi.string()
+    .valid(...INTERVALS)
+    .optional()
+    .default('day')
+    .messages({
+      'any.only': `Interval must be one of ${INTERVALS.join(', ')}`
+    }),
+  ...analyticsRange,
+  timezone: Joi.string()
+    .optional()
+    .default('UTC')
+    .custom((value, helpers) =>
+      isValidTimezone(value) ? value : helpers.error('any.invalid')
+    )
+    .messages({
+      'any.invalid': 'Timezone must be an IANA time zone such as Europe/Berlin'
+    }),
+  includeBots
+});
+
+/**
+ * Breakdown analytics query schema
+ * dimensions is a comma-separated list, e.g. country,referrer
+ */
+const breakdownQuerySchema = Joi.object({
+  dimensions: Joi.string()
+    .optional()
+    .default(() => [...BREAKDOWN_DIMENSIONS])
+    .custom((value, helpers) => {
+      const dimensions = [
+        ...new Set(value.split(',').map((dimension) => dimension.trim()))
+      ];
+      if (dimensions.some((dimension) => !BREAKDOWN_DIMENSIONS.includes(dimension))) {
+        return helpers.error('any.invalid');
+      }
+      return dimensions;
+    })
+    .messages({
+      'any.invalid': `Dimensions must be a comma-separated list of ${BREAKDOWN_DIMENSIONS.join(', ')}`
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(50)
+    .optional()
+    .default(10)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 50'
+    }),
+  ...analyticsRange,
+  includeBots
+});
+
+/**
+ * Click export query schema
+ */
+const exportQuerySchema = Joi.object({
+  format: Joi.string()
+    .valid(...EXPORT_FORMATS)
+    .optional()
+    .default('csv')
+    .messages({
+      'any.only': `Format must be one of ${EXPORT_FORMATS.join(', ')}`
+    }),
+  ...analyticsRange,
+  includeBots
+});
+
+/**
+ * Live click stream query schema
+ */
+const liveQuerySchema = Joi.object({
+  includeBots
+});
+
+/**
+ * Copy request data for logging, with the link password masked
+ */
+function redactSecrets(data) {
+  if (!data || typeof data !== 'object' || data.password === undefined) {
+    return data;
+  }
+
+  return { ...data, password: '[redacted]' };
+}
+
 /**
  * Validate URL creation request
  */
@@ -70,7 +604,7 @@ function validateUrlRequest(data) {
         message: detail.message
       }));
       
-      logger.warn('URL validation failed', { data, errors });
+      logger.warn('URL validation failed', { data: redactSecrets(data), errors });
       return { isValid: false, errors };
     }
     
@@ -100,6 +634,222 @@ function validateShortcode(shortcode) {
   }
 }
 
+/**
+ * Validate batch creation request
+ */
+function validateBatchRequest(data) {
+  try {
+    const { error, value } = batchSchema.validate(data, { abortEarly: false });
+    
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+      
+      logger.warn('Batch validation failed', { errors });
+      return { isValid: false, errors };
+    }
+    
+    return { isValid: true, data: value };
+  } catch (error) {
+    logger.error('Batch validation error', { error: error.message });
+    return { isValid: false, errors: [{ field: 'unknown', message: 'Validation error occurred' }] };
+  }
+}
+
+/**
+ * Validate URL update request
+ */
+function validateUrlUpdate(data) {
+  try {
+    const { error, value } = urlUpdateSchema.validate(data, { abortEarly: false });
+    
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+      
+      logger.warn('URL update validation failed', { data: redactSecrets(data), errors });
+      return { isValid: false, errors };
+    }
+    
+    return { isValid: true, data: value };
+  } catch (error) {
+    logger.error('Update validation error', { error: error.message });
+    return { isValid: false, errors: [{ field: 'unknown', message: 'Validation error occurred' }] };
+  }
+}
+
+/**
+ * Validate URL listing query
+ */
+function validateListQuery(query) {
+  try {
+    const { error, value } = listQuerySchema.validate(query, { abortEarly: false });
+    
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+      
+      logger.warn('List query validation failed', { query, errors });
+      return { isValid: false, errors };
+    }
+    
+    return { isValid: true, data: value };
+  } catch (error) {
+    logger.error('List query validation error', { error: error.message });
+    return { isValid: false, errors: [{ field: 'unknown', message: 'Validation error occurred' }] };
+  }
+}
+
+/**
+ * Validate URL statistics query
+ */
+function validateStatsQuery(query) {
+  try {
+    const { error, value } = statsQuerySchema.validate(query, { abortEarly: false });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      logger.warn('Stats query validation failed', { query, errors });
+      return { isValid: false, errors };
+    }
+
+    return { isValid: true, data: value };
+  } catch (error) {
+    logger.error('Stats query validation error', { error: error.message });
+    return { isValid: false, errors: [{ field: 'unknown', message: 'Validation error occurred' }] };
+  }
+}
+
+/**
+ * Validate time-series analytics query
+ */
+function validateTimeseriesQuery(query) {
+  try {
+    const { error, value } = timeseriesQuerySchema.validate(query, { abortEarly: false });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      logger.warn('Time-series query validation failed', { query, errors });
+      return { isValid: false, errors };
+    }
+
+    return { isValid: true, data: value };
+  } catch (error) {
+    logger.error('Time-series query validation error', { error: error.message });
+    return { isValid: false, errors: [{ field: 'unknown', message: 'Validation error occurred' }] };
+  }
+}
+
+/**
+ * Validate breakdown analytics query
+ */
+function validateBreakdownQuery(query) {
+  try {
+    const { error, value } = breakdownQuerySchema.validate(query, { abortEarly: false });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      logger.warn('Breakdown query validation failed', { query, errors });
+      return { isValid: false, errors };
+    }
+
+    return { isValid: true, data: value };
+  } catch (error) {
+    logger.error('Breakdown query validation error', { error: error.message });
+    return { isValid: false, errors: [{ field: 'unknown', message: 'Validation error occurred' }] };
+  }
+}
+
+/**
+ * Validate click export query
+ */
+function validateExportQuery(query) {
+  try {
+    const { error, value } = exportQuerySchema.validate(query, { abortEarly: false });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      logger.warn('Export query validation failed', { query, errors });
+      return { isValid: false, errors };
+    }
+
+    return { isValid: true, data: value };
+  } catch (error) {
+    logger.error('Export query validation error', { error: error.message });
+    return { isValid: false, errors: [{ field: 'unknown', message: 'Validation error occurred' }] };
+  }
+}
+
+/**
+ * Validate live click stream query
+ */
+function validateLiveQuery(query) {
+  try {
+    const { error, value } = liveQuerySchema.validate(query, { abortEarly: false });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      logger.warn('Live query validation failed', { query, errors });
+      return { isValid: false, errors };
+    }
+
+    return { isValid: true, data: value };
+  } catch (error) {
+    logger.error('Live query validation error', { error: error.message });
+    return { isValid: false, errors: [{ field: 'unknown', message: 'Validation error occurred' }] };
+  }
+}
+
+/**
+ * Validate QR code query
+ */
+function validateQrQuery(query) {
+  try {
+    const { error, value } = qrQuerySchema.validate(query, { abortEarly: false });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      logger.warn('QR query validation failed', { query, errors });
+      return { isValid: false, errors };
+    }
+
+    return { isValid: true, data: value };
+  } catch (error) {
+    logger.error('QR query validation error', { error: error.message });
+    return { isValid: false, errors: [{ field: 'unknown', message: 'Validation error occurred' }] };
+  }
+}
+
 /**
  * Validate URL format
  */
@@ -140,7 +890,6 @@ function sanitizeUrl(url) {
  * Check if shortcode is reserved
  */
 function isReservedShortcode(shortcode) {
-  const config = require('../config/config');
   return config.shortener.reservedShortcodes.includes(shortcode.toLowerCase());
 }
 
@@ -178,9 +927,19 @@ async function validateCustomShortcode(shortcode) {
 
 module.exports = {
   validateUrlRequest,
+  validateBatchRequest,
+  validateUrlUpdate,
   validateShortcode,
+  validateListQuery,
+  validateStatsQuery,
+  validateTimeseriesQuery,
+  validateBreakdownQuery,
+  validateExportQuery,
+  validateLiveQuery,
+  validateQrQuery,
   isValidUrl,
   sanitizeUrl,
   isReservedShortcode,
-  validateCustomShortcode
+  validateCustomShortcode,
+  redactSecrets
 }; 
\ No newline at end of file
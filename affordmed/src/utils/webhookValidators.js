@@ -0,0 +1,143 @@
+const Joi = require('joi');
+const { logger } = require('../middleware/logger');
+
+/**
+ * Link events a webhook can subscribe to
+ */
+const WEBHOOK_EVENTS = [
+  'link.clicked',
+  'link.click_threshold',
+  'link.expired',
+  'link.deleted'
+];
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+/**
+ * Webhook subscription validation schema
+ */
+const webhookSchema = Joi.object({
+  url: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .max(2048)
+    .required()
+    .messages({
+      'string.uri': 'Webhook URL must be a valid HTTP or HTTPS URL',
+      'string.uriCustomScheme': 'Webhook URL must be a valid HTTP or HTTPS URL',
+      'any.required': 'Webhook URL is required'
+    }),
+  events: Joi.array()
+    .items(Joi.string().valid(...WEBHOOK_EVENTS))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'any.only': `Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`,
+      'array.min': 'At least one event is required',
+      'any.required': 'Events are required'
+    }),
+  shortcodes: Joi.array()
+    .items(Joi.string().lowercase().pattern(/^[a-zA-Z0-9_-]+$/))
+    .max(100)
+    .unique()
+    .default([])
+    .messages({
+      'string.pattern.base': 'Shortcodes can only contain letters, numbers, hyphens, and underscores',
+      'array.max': 'A webhook can be limited to at most 100 shortcodes'
+    }),
+  clickThresholds: Joi.array()
+    .items(Joi.number().integer().min(1))
+    .max(20)
+    .unique()
+    .default([])
+    .when('events', {
+      is: Joi.array().items(Joi.any()).has('link.click_threshold'),
+      then: Joi.array().min(1).required()
+    })
+    .messages({
+      'number.min': 'Click thresholds must be at least 1',
+      'array.min': 'link.click_threshold needs at least one click threshold',
+      'any.required': 'link.click_threshold needs at least one click threshold',
+      'array.max': 'A webhook can have at most 20 click thresholds'
+    }),
+  description: Joi.string()
+    .max(200)
+    .allow(null, '')
+    .messages({
+      'string.max': 'Description cannot exceed 200 characters'
+    })
+});
+
+/**
+ * Delivery list query validation schema
+ */
+const deliveryQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid(...DELIVERY_STATUSES)
+    .messages({
+      'any.only': `Status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+    }),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+/**
+ * Validate webhook subscription request
+ */
+function validateWebhookRequest(data) {
+  try {
+    const { error, value } = webhookSchema.validate(data, { abortEarly: false });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      logger.warn('Webhook validation failed', { data, errors });
+      return { isValid: false, errors };
+    }
+
+    return { isValid: true, data: value };
+  } catch (error) {
+    logger.error('Webhook validation error', { error: error.message });
+    return { isValid: false, errors: [{ field: 'unknown', message: 'Validation error occurred' }] };
+  }
+}
+
+/**
+ * Validate delivery list query parameters
+ */
+function validateDeliveryQuery(query) {
+  try {
+    const { error, value } = deliveryQuerySchema.validate(query, { abortEarly: false });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return { isValid: false, errors };
+    }
+
+    return { isValid: true, data: value };
+  } catch (error) {
+    logger.error('Delivery query validation error', { error: error.message });
+    return { isValid: false, errors: [{ field: 'unknown', message: 'Validation error occurred' }] };
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  validateWebhookRequest,
+  validateDeliveryQuery
+};
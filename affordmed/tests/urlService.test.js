@@ -1,20 +1,63 @@
 const urlService = require('../src/services/urlService');
 const Url = require('../src/models/Url');
+const BlockedDestination = require('../src/models/BlockedDestination');
+const ClickEvent = require('../src/models/ClickEvent');
+const VisitorSalt = require('../src/models/VisitorSalt');
+const screeningService = require('../src/services/screeningService');
+const visitorHashService = require('../src/services/visitorHash');
+const liveClicksService = require('../src/services/liveClicks');
+const shortcodeGenerator = require('../src/utils/shortcodeGenerator');
+const webhookService = require('../src/services/webhookService');
+const WebhookSubscription = require('../src/models/WebhookSubscription');
 const { logger } = require('../src/middleware/logger');
+const geoIpService = require('../src/services/geoIp');
+const config = require('../src/config/config');
+const { validateUrlUpdate } = require('../src/utils/validators');
+const { FileReputationProvider } = require('../src/services/reputationProvider');
+const User = require('../src/models/User');
+const { authenticateStream } = require('../src/middleware/authMiddleware');
+const { generateToken, verifyToken } = require('../src/utils/authUtils');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const os = require('os');
+const path = require('path');
 
 // Mock MongoDB models and services
 jest.mock('../src/models/Url');
+jest.mock('../src/models/BlockedDestination');
+jest.mock('../src/models/ClickEvent');
+jest.mock('../src/models/VisitorSalt');
+jest.mock('../src/models/WebhookSubscription');
+jest.mock('../src/models/WebhookDelivery');
+jest.mock('../src/models/User');
 jest.mock('../src/middleware/logger');
 
 describe('URL Service', () => {
+  const mockUser = { clientID: 'owner-client-id' };
+
   beforeEach(() => {
     jest.clearAllMocks();
     // Reset URL model mocks
     Url.findByShortcode.mockReset();
     Url.shortcodeExists.mockReset();
     Url.findOne.mockReset();
+    // Empty blocklist unless a test sets its own entries
+    BlockedDestination.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+    screeningService.clearCache();
+    ClickEvent.findPage.mockResolvedValue([]);
+    ClickEvent.aggregate.mockResolvedValue([]);
+    // One salt per day, so visitor hashes change when the day does
+    visitorHashService.salts.clear();
+    VisitorSalt.findOneAndUpdate.mockImplementation(async ({ day }) => ({ salt: `salt-${day}` }));
+    // No webhook subscriptions unless a test sets its own
+    WebhookSubscription.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+    webhookService.subscriptions.clear();
   });
 
+  const blockEntries = (entries) => {
+    BlockedDestination.find.mockReturnValue({ lean: jest.fn().mockResolvedValue(entries) });
+  };
+
   describe('createShortUrl', () => {
     it('should create a shortened URL with valid input', async () => {
       const mockData = {
@@ -31,7 +74,7 @@ describe('URL Service', () => {
       Url.shortcodeExists.mockResolvedValue(false);
       Url.mockImplementation(() => mockUrlDoc);
 
-      const result = await urlService.createShortUrl(mockData);
+      const result = await urlService.createShortUrl(mockData, mockUser);
 
       expect(result.success).toBe(true);
       expect(result.data).toHaveProperty('shortLink');
@@ -39,6 +82,28 @@ describe('URL Service', () => {
       expect(mockUrlDoc.save).toHaveBeenCalled();
     });
 
+    it('should record the authenticated user as owner', async () => {
+      const mockData = {
+        url: 'https://example.com/very-long-url',
+        shortcode: 'owned-code'
+      };
+
+      const mockUrlDoc = {
+        shortLink: 'http://localhost:3000/owned-code',
+        expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+        save: jest.fn().mockResolvedValue(true)
+      };
+
+      Url.shortcodeExists.mockResolvedValue(false);
+      Url.mockImplementation(() => mockUrlDoc);
+
+      await urlService.createShortUrl(mockData, mockUser);
+
+      expect(Url).toHaveBeenCalledWith(
+        expect.objectContaining({ createdBy: 'owner-client-id' })
+      );
+    });
+
     it('should create URL with custom shortcode', async () => {
       const mockData = {
         url: 'https://example.com/very-long-url',
@@ -54,19 +119,342 @@ describe('URL Service', () => {
       Url.shortcodeExists.mockResolvedValue(false);
       Url.mockImplementation(() => mockUrlDoc);
 
-      const result = await urlService.createShortUrl(mockData);
+      const result = await urlService.createShortUrl(mockData, mockUser);
 
       expect(result.success).toBe(true);
       expect(result.data.shortLink).toContain('my-custom-code');
     });
 
+    it('should schedule a URL with absolute activation and expiry', async () => {
+      const activatesAt = new Date(Date.now() + 60 * 60 * 1000);
+      const expiresAt = new Date(activatesAt.getTime() + 2 * 60 * 60 * 1000);
+      const mockData = {
+        url: 'https://example.com/launch',
+        shortcode: 'launch-day',
+        activatesAt: activatesAt.toISOString(),
+        expiresAt: expiresAt.toISOString()
+      };
+
+      const mockUrlDoc = {
+        shortLink: 'http://localhost:3000/launch-day',
+        activatesAt,
+        expiresAt,
+        save: jest.fn().mockResolvedValue(true)
+      };
+
+      Url.shortcodeExists.mockResolvedValue(false);
+      Url.mockImplementation(() => mockUrlDoc);
+
+      const result = await urlService.createShortUrl(mockData, mockUser);
+
+      expect(result.success).toBe(true);
+      expect(result.data.activatesAt).toBe(activatesAt.toISOString());
+      expect(Url).toHaveBeenCalledWith(
+        expect.objectContaining({ activatesAt, expiresAt })
+      );
+    });
+
+    it('should count validity from the activation time', async () => {
+      const activatesAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      const mockUrlDoc = {
+        shortLink: 'http://localhost:3000/later',
+        expiresAt: new Date(activatesAt.getTime() + 60 * 60 * 1000),
+        save: jest.fn().mockResolvedValue(true)
+      };
+
+      Url.shortcodeExists.mockResolvedValue(false);
+      Url.mockImplementation(() => mockUrlDoc);
+
+      await urlService.createShortUrl({
+        url: 'https://example.com/later',
+        shortcode: 'later',
+        activatesAt: activatesAt.toISOString(),
+        validity: 60
+      }, mockUser);
+
+      expect(Url).toHaveBeenCalledWith(
+        expect.objectContaining({
+          expiresAt: new Date(activatesAt.getTime() + 60 * 60 * 1000)
+        })
+      );
+    });
+
+    it('should reject a live window longer than the maximum validity', async () => {
+      const result = await urlService.createShortUrl({
+        url: 'https://example.com/launch',
+        expiresAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString()
+      }, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.details[0].field).toBe('expiresAt');
+    });
+
+    it('should reject a geo rule without countries or regions', async () => {
+      const result = await urlService.createShortUrl({
+        url: 'https://example.com/store',
+        geoRules: [{ name: 'nowhere', url: 'https://example.com/store/other' }]
+      }, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.details[0].message).toBe('Each geo rule needs countries or regions');
+    });
+
+    it('should reject an unknown device type in a device rule', async () => {
+      const result = await urlService.createShortUrl({
+        url: 'https://example.com/app',
+        deviceRules: [{ devices: ['watch'], url: 'https://example.com/app/watch' }]
+      }, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.details[0].message).toBe('Device must be one of: desktop, mobile, tablet');
+    });
+
+    it('should store UTM tags from a preset with explicit fields on top', async () => {
+      config.shortener.utmPresets['spring-launch'] = {
+        source: 'newsletter',
+        medium: 'email',
+        campaign: 'spring-launch'
+      };
+
+      const mockUrlDoc = {
+        shortLink: 'http://localhost:3000/spring-sale',
+        expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+        save: jest.fn().mockResolvedValue(true)
+      };
+
+      Url.shortcodeExists.mockResolvedValue(false);
+      Url.mockImplementation(() => mockUrlDoc);
+
+      const result = await urlService.createShortUrl({
+        url: 'https://example.com/sale',
+        shortcode: 'spring-sale',
+        utmPreset: 'spring-launch',
+        utm: { medium: 'social' }
+      }, mockUser);
+
+      delete config.shortener.utmPresets['spring-launch'];
+
+      expect(result.success).toBe(true);
+      expect(Url).toHaveBeenCalledWith(expect.objectContaining({
+        utm: { source: 'newsletter', medium: 'social', campaign: 'spring-launch', term: null, content: null },
+        utmPreset: 'spring-launch',
+        utmMode: 'preserve'
+      }));
+    });
+
+    describe('UTM_PRESETS', () => {
+      const loadPresets = (value) => {
+        let presets;
+        let warn;
+        process.env.UTM_PRESETS = value;
+        jest.isolateModules(() => {
+          presets = require('../src/config/config').shortener.utmPresets;
+          warn = require('../src/middleware/logger').logger.warn;
+        });
+        delete process.env.UTM_PRESETS;
+        return { presets, warn };
+      };
+
+      it('should read presets with or without the utm_ prefix', () => {
+        const { presets, warn } = loadPresets(
+          '{"spring":{"source":"newsletter","utm_medium":"email"}}'
+        );
+
+        expect(presets).toEqual({ spring: { source: 'newsletter', medium: 'email' } });
+        expect(warn).not.toHaveBeenCalled();
+      });
+
+      it('should start without presets when the JSON is malformed', () => {
+        const { presets, warn } = loadPresets('{"spring":{"source":');
+
+        expect(presets).toEqual({});
+        expect(warn).toHaveBeenCalledWith(
+          'UTM_PRESETS is not valid JSON, starting without presets',
+          expect.objectContaining({ error: expect.any(String) })
+        );
+      });
+
+      it('should start without presets when a preset has the wrong shape', () => {
+        const { presets, warn } = loadPresets('{"spring":{"source":"newsletter","channel":"email"}}');
+
+        expect(presets).toEqual({});
+        expect(warn).toHaveBeenCalledWith(
+          'Invalid preset in UTM_PRESETS, starting without presets',
+          expect.objectContaining({ preset: 'spring' })
+        );
+      });
+    });
+
+    it('should reject an unknown UTM preset', async () => {
+      const result = await urlService.createShortUrl({
+        url: 'https://example.com/sale',
+        utmPreset: 'no-such-preset'
+      }, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.details).toEqual([
+        { field: 'utmPreset', message: 'Unknown UTM preset: no-such-preset' }
+      ]);
+    });
+
+    it('should reject a destination whose parent domain is blocklisted', async () => {
+      blockEntries([{ type: 'domain', value: 'phish.example', reason: 'Phishing' }]);
+
+      const result = await urlService.createShortUrl({
+        url: 'https://login.phish.example/account'
+      }, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(422);
+      expect(result.code).toBe('DESTINATION_BLOCKED');
+      expect(result.details).toEqual({
+        url: 'https://login.phish.example/account',
+        reason: 'Phishing'
+      });
+      expect(Url).not.toHaveBeenCalled();
+    });
+
+    it('should screen variant destinations against blocked patterns', async () => {
+      blockEntries([{ type: 'pattern', value: '/wp-admin/.*\\.php$', reason: null }]);
+
+      const result = await urlService.createShortUrl({
+        url: 'https://example.com/landing',
+        variants: [
+          { name: 'control', url: 'https://example.com/landing', weight: 1 },
+          { name: 'bad', url: 'https://hacked.example/wp-admin/shell.php', weight: 1 }
+        ]
+      }, mockUser);
+
+      expect(result.code).toBe('DESTINATION_BLOCKED');
+      expect(result.details.url).toBe('https://hacked.example/wp-admin/shell.php');
+      expect(result.details.reason).toBe('URL matches a blocked pattern');
+    });
+
+    it('should reject hosts flagged by the reputation provider and fail open on errors', async () => {
+      const lookup = jest.fn().mockResolvedValue({ reason: 'Host listed as malware' });
+      screeningService.setReputationProvider({ name: 'test', lookup });
+
+      try {
+        const blocked = await urlService.createShortUrl({
+          url: 'https://malware.example/download'
+        }, mockUser);
+
+        expect(blocked.code).toBe('DESTINATION_BLOCKED');
+        expect(blocked.details.reason).toBe('Host listed as malware');
+        expect(lookup.mock.calls[0][0].hostname).toBe('malware.example');
+
+        lookup.mockRejectedValue(new Error('provider down'));
+        Url.shortcodeExists.mockResolvedValue(false);
+        Url.mockImplementation(() => ({
+          shortLink: 'http://localhost:3000/fine',
+          expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+          save: jest.fn().mockResolvedValue(true)
+        }));
+
+        const allowed = await urlService.createShortUrl({
+          url: 'https://example.com/fine',
+          shortcode: 'fine'
+        }, mockUser);
+
+        expect(allowed.success).toBe(true);
+        expect(logger.error).toHaveBeenCalledWith(
+          'Reputation lookup failed',
+          expect.objectContaining({ provider: 'test' })
+        );
+      } finally {
+        screeningService.setReputationProvider(null);
+      }
+    });
+
+    it('should reject destinations on known URL shorteners', async () => {
+      const result = await urlService.createShortUrl({
+        url: 'https://example.com/home',
+        deviceRules: [{ name: 'ios', os: ['iOS'], url: 'https://go.bit.ly/app' }]
+      }, mockUser);
+
+      expect(result.statusCode).toBe(422);
+      expect(result.code).toBe('SHORTENER_DESTINATION');
+      expect(result.details.url).toBe('https://go.bit.ly/app');
+    });
+
+    it('should resolve a plain short link of ours to its final destination', async () => {
+      Url.findOne.mockResolvedValue({
+        shortcode: 'abc123',
+        originalUrl: 'https://example.com/final',
+        isActive: true,
+        isExpired: false,
+        isPending: false,
+        utm: { source: 'chain' },
+        utmMode: 'preserve'
+      });
+      Url.shortcodeExists.mockResolvedValue(false);
+      Url.mockImplementation(() => ({
+        shortLink: 'http://localhost:3000/resolved',
+        expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+        save: jest.fn().mockResolvedValue(true)
+      }));
+
+      const result = await urlService.createShortUrl({
+        url: `${config.shortener.baseUrl}/ABC123`,
+        shortcode: 'resolved'
+      }, mockUser);
+
+      expect(result.success).toBe(true);
+      expect(Url.findOne).toHaveBeenCalledWith({ shortcode: 'abc123' });
+      expect(Url).toHaveBeenCalledWith(
+        expect.objectContaining({ originalUrl: 'https://example.com/final?utm_source=chain' })
+      );
+    });
+
+    it('should reject short links of ours that do not exist or when the policy says so', async () => {
+      const missing = await urlService.createShortUrl({
+        url: `${config.shortener.baseUrl}/missing`
+      }, mockUser);
+
+      expect(missing.code).toBe('OWN_LINK_DESTINATION');
+      expect(missing.error).toBe('Destination short link does not exist');
+
+      config.shortener.loopProtection.ownLinkPolicy = 'reject';
+      try {
+        const rejected = await urlService.createShortUrl({
+          url: `${config.shortener.baseUrl}/abc123`
+        }, mockUser);
+
+        expect(rejected.code).toBe('OWN_LINK_DESTINATION');
+        expect(rejected.error).toBe('Destination cannot be one of our short links');
+      } finally {
+        config.shortener.loopProtection.ownLinkPolicy = 'resolve';
+      }
+    });
+
+    it('should reject an unsupported redirect status', async () => {
+      const result = await urlService.createShortUrl({
+        url: 'https://example.com/page',
+        redirectStatus: 303
+      }, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.details[0].message).toBe('Redirect status must be one of: 301, 302, 307, 308');
+    });
+
+    it('should reject both validity and expiresAt', async () => {
+      const result = await urlService.createShortUrl({
+        url: 'https://example.com/launch',
+        validity: 60,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      }, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Validation failed');
+    });
+
     it('should reject invalid URL', async () => {
       const mockData = {
         url: 'invalid-url',
         validity: 30
       };
 
-      const result = await urlService.createShortUrl(mockData);
+      const result = await urlService.createShortUrl(mockData, mockUser);
 
       expect(result.success).toBe(false);
       expect(result.error).toBe('Validation failed');
@@ -78,7 +466,7 @@ describe('URL Service', () => {
         shortcode: 'api'
       };
 
-      const result = await urlService.createShortUrl(mockData);
+      const result = await urlService.createShortUrl(mockData, mockUser);
 
       expect(result.success).toBe(false);
       expect(result.error).toBe('Shortcode not available');
@@ -92,7 +480,7 @@ describe('URL Service', () => {
 
       Url.shortcodeExists.mockResolvedValue(true);
 
-      const result = await urlService.createShortUrl(mockData);
+      const result = await urlService.createShortUrl(mockData, mockUser);
 
       expect(result.success).toBe(false);
       expect(result.error).toBe('Shortcode not available');
@@ -110,13 +498,134 @@ describe('URL Service', () => {
       Url.shortcodeExists.mockResolvedValue(false);
       Url.mockImplementation(() => mockUrlDoc);
 
-      const result = await urlService.createShortUrl(mockData);
+      const result = await urlService.createShortUrl(mockData, mockUser);
 
       expect(result.success).toBe(false);
       expect(result.error).toBe('Shortcode already exists');
     });
   });
 
+  describe('createShortUrls', () => {
+    it('should return per-item results without failing the batch', async () => {
+      Url.shortcodeExists.mockResolvedValue(false);
+      Url.insertMany.mockResolvedValue([]);
+
+      const result = await urlService.createShortUrls({
+        urls: [
+          { url: 'https://example.com/one', shortcode: 'batch-one' },
+          { url: 'not-a-url' },
+          { url: 'https://example.com/two', shortcode: 'batch-one' }
+        ]
+      }, mockUser);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ total: 3, succeeded: 1, failed: 2 });
+      expect(result.data.results[0]).toMatchObject({
+        index: 0,
+        success: true,
+        shortLink: 'http://localhost:3000/batch-one'
+      });
+      expect(result.data.results[1].error).toBe('Validation failed');
+      expect(result.data.results[2].error).toBe('Shortcode not available');
+      expect(Url.insertMany).toHaveBeenCalledTimes(1);
+      expect(Url.insertMany.mock.calls[0][0]).toHaveLength(1);
+    });
+
+    it('should report items rejected by the unordered insert', async () => {
+      Url.shortcodeExists.mockResolvedValue(false);
+      Url.insertMany.mockRejectedValue({
+        writeErrors: [{ index: 1, err: { code: 11000, errmsg: 'E11000' } }]
+      });
+
+      const result = await urlService.createShortUrls({
+        urls: [
+          { url: 'https://example.com/one', shortcode: 'batch-one' },
+          { url: 'https://example.com/two', shortcode: 'batch-two' }
+        ]
+      }, mockUser);
+
+      expect(result.data.succeeded).toBe(1);
+      expect(result.data.results[0].success).toBe(true);
+      expect(result.data.results[1]).toMatchObject({
+        success: false,
+        error: 'Shortcode already exists'
+      });
+    });
+
+    it('should report items that fail schema validation on insert', async () => {
+      Url.shortcodeExists.mockResolvedValue(false);
+      const validationError = new mongoose.Error.ValidationError();
+      validationError.addError('originalUrl', new mongoose.Error.ValidatorError({
+        path: 'originalUrl',
+        message: 'Please provide a valid URL'
+      }));
+      // What Mongoose throws once the valid documents are in
+      Url.insertMany.mockImplementation(async (docs) => {
+        throw Object.assign(new Error('insertMany failed with 1 Mongoose validation errors'), {
+          validationErrors: [validationError],
+          results: [docs[0], validationError]
+        });
+      });
+
+      const result = await urlService.createShortUrls({
+        urls: [
+          { url: 'https://example.com/one', shortcode: 'batch-one' },
+          { url: 'https://example.com/two', shortcode: 'batch-two' }
+        ]
+      }, mockUser);
+
+      expect(Url.insertMany.mock.calls[0][1]).toEqual({ ordered: false, throwOnValidationError: true });
+      expect(result.data).toMatchObject({ succeeded: 1, failed: 1 });
+      expect(result.data.results[0].success).toBe(true);
+      expect(result.data.results[1]).toEqual({
+        index: 1,
+        success: false,
+        error: 'Validation failed',
+        details: [{ field: 'originalUrl', message: 'Please provide a valid URL' }]
+      });
+    });
+
+    it('should store lowercase shortcodes so batch-created links redirect', async () => {
+      const generateUnique = jest.spyOn(shortcodeGenerator, 'generateUnique').mockResolvedValue('AbC123xY');
+      Url.shortcodeExists.mockResolvedValue(false);
+      const stored = [];
+      Url.insertMany.mockImplementation(async (docs) => stored.push(...docs));
+      // Look links up the way the model does, by lowercased shortcode
+      Url.findByShortcode.mockImplementation(async (shortcode) => {
+        const doc = stored.find((item) => item.shortcode === shortcode.toLowerCase());
+        return doc && { ...doc, isExpired: false, incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 }) };
+      });
+
+      const result = await urlService.createShortUrls({
+        urls: [
+          { url: 'https://example.com/one', shortcode: 'Batch-One' },
+          { url: 'https://example.com/two' }
+        ]
+      }, mockUser);
+
+      expect(stored.map((doc) => doc.shortcode)).toEqual(['batch-one', 'abc123xy']);
+      for (const { shortLink } of result.data.results) {
+        const shortcode = shortLink.split('/').pop();
+        const redirect = await urlService.redirectToUrl(shortcode, {
+          get: jest.fn().mockReturnValue(undefined),
+          headers: {},
+          connection: {},
+          socket: {},
+          ip: '127.0.0.1'
+        });
+        expect(redirect).toMatchObject({ success: true });
+      }
+      generateUnique.mockRestore();
+    });
+
+    it('should reject a request without urls', async () => {
+      const result = await urlService.createShortUrls({}, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Validation failed');
+    });
+  });
+
   describe('getUrlStats', () => {
     it('should return URL statistics for valid shortcode', async () => {
       const mockUrlDoc = {
@@ -126,63 +635,334 @@ describe('URL Service', () => {
         expiresAt: new Date('2024-12-31T23:59:59.000Z'),
         clickCount: 5,
         isExpired: false,
-        clickEvents: [
-          {
-            timestamp: new Date('2024-01-01T11:00:00.000Z'),
-            referrer: 'https://google.com',
-            geoLocation: {
-              country: 'United States',
-              city: 'San Francisco'
-            }
-          }
-        ]
+        createdBy: 'owner-client-id',
+        maxClicks: 10,
+        remainingClicks: 5
       };
 
-      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+      Url.findOne.mockResolvedValue(mockUrlDoc);
+      ClickEvent.aggregate.mockResolvedValue([{ visitors: 3 }]);
+      ClickEvent.findPage.mockResolvedValue([
+        {
+          _id: 'event-1',
+          timestamp: new Date('2024-01-01T11:00:00.000Z'),
+          referrer: 'https://google.com',
+          geoLocation: {
+            country: 'United States',
+            city: 'San Francisco'
+          }
+        }
+      ]);
 
-      const result = await urlService.getUrlStats('test-code');
+      const result = await urlService.getUrlStats('test-code', mockUser);
 
       expect(result.success).toBe(true);
       expect(result.data.totalClicks).toBe(5);
+      expect(result.data.uniqueClicks).toBe(3);
       expect(result.data.originalUrl).toBe('https://example.com/very-long-url');
       expect(result.data.clickEvents).toHaveLength(1);
+      expect(result.data.clickEventsPagination).toEqual({
+        limit: 50,
+        hasMore: false,
+        nextCursor: null
+      });
+      expect(result.data.maxClicks).toBe(10);
+      expect(result.data.remainingClicks).toBe(5);
+    });
+
+    it('should page through click events newest first', async () => {
+      Url.findOne.mockResolvedValue({
+        _id: 'url-id',
+        originalUrl: 'https://example.com/page',
+        createdAt: new Date('2024-01-01T10:00:00.000Z'),
+        expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+        clickCount: 250,
+        isExpired: false,
+        createdBy: 'owner-client-id'
+      });
+      const events = [3, 2, 1].map((minute) => ({
+        _id: `event-${minute}`,
+        timestamp: new Date(Date.UTC(2024, 0, 1, 11, minute)),
+        referrer: 'Direct',
+        geoLocation: {}
+      }));
+      ClickEvent.findPage.mockResolvedValue(events);
+
+      const first = await urlService.getUrlStats('page', mockUser, { limit: '2' });
+
+      expect(ClickEvent.findPage).toHaveBeenCalledWith('url-id', {
+        limit: 2,
+        before: null,
+        includeBots: false
+      });
+      expect(first.data.clickEvents.map((event) => event.timestamp)).toEqual([
+        '2024-01-01T11:03:00.000Z',
+        '2024-01-01T11:02:00.000Z'
+      ]);
+      expect(first.data.clickEventsPagination.hasMore).toBe(true);
+
+      ClickEvent.findPage.mockResolvedValue(events.slice(2));
+
+      const second = await urlService.getUrlStats('page', mockUser, {
+        limit: '2',
+        cursor: first.data.clickEventsPagination.nextCursor
+      });
+
+      expect(ClickEvent.findPage).toHaveBeenLastCalledWith('url-id', {
+        limit: 2,
+        before: { value: new Date('2024-01-01T11:02:00.000Z'), id: 'event-2' },
+        includeBots: false
+      });
+      expect(second.data.clickEvents).toHaveLength(1);
+      expect(second.data.clickEventsPagination.nextCursor).toBeNull();
+    });
+
+    it('should reject a malformed click event cursor', async () => {
+      const result = await urlService.getUrlStats('page', mockUser, { cursor: 'bm90LWpzb24' });
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(400);
+      expect(result.error).toBe('Invalid cursor');
+      expect(Url.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should leave bot clicks out unless includeBots is set', async () => {
+      Url.findOne.mockResolvedValue({
+        _id: 'url-id',
+        originalUrl: 'https://example.com/page',
+        createdAt: new Date('2024-01-01T10:00:00.000Z'),
+        expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+        clickCount: 20,
+        botClickCount: 6,
+        isExpired: false,
+        createdBy: 'owner-client-id'
+      });
+
+      const humans = await urlService.getUrlStats('page', mockUser);
+
+      expect(humans.data.totalClicks).toBe(20);
+      expect(humans.data.botClicks).toBe(6);
+      expect(humans.data.includesBots).toBe(false);
+      expect(ClickEvent.aggregate.mock.calls[0][0][0].$match.isBot).toEqual({ $ne: true });
+
+      ClickEvent.findPage.mockResolvedValue([
+        {
+          timestamp: new Date('2024-01-01T11:00:00.000Z'),
+          referrer: 'Direct',
+          geoLocation: {},
+          isBot: true,
+          botName: 'Slackbot'
+        }
+      ]);
+
+      const all = await urlService.getUrlStats('page', mockUser, { includeBots: 'true' });
+
+      expect(all.data.totalClicks).toBe(26);
+      expect(all.data.includesBots).toBe(true);
+      expect(ClickEvent.findPage).toHaveBeenLastCalledWith(
+        'url-id',
+        expect.objectContaining({ includeBots: true })
+      );
+      expect(ClickEvent.aggregate.mock.calls[1][0][0].$match).not.toHaveProperty('isBot');
+      expect(all.data.clickEvents[0]).toMatchObject({ isBot: true, botName: 'Slackbot' });
+    });
+
+    it('should report clicks per A/B variant', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/landing',
+        createdAt: new Date('2024-01-01T10:00:00.000Z'),
+        expiresAt: new Date('2024-12-31T23:59:59.000Z'),
+        clickCount: 10,
+        isExpired: false,
+        createdBy: 'owner-client-id',
+        variants: [
+          { name: 'control', url: 'https://example.com/landing', weight: 70, clicks: 7 },
+          { name: 'new-hero', url: 'https://example.com/landing-b', weight: 30, clicks: 3 }
+        ]
+      };
+
+      Url.findOne.mockResolvedValue(mockUrlDoc);
+      ClickEvent.findPage.mockResolvedValue([
+        {
+          timestamp: new Date('2024-01-01T11:00:00.000Z'),
+          referrer: 'Direct',
+          geoLocation: {},
+          destination: 'https://example.com/landing-b',
+          variant: 'new-hero'
+        }
+      ]);
+
+      const result = await urlService.getUrlStats('landing', mockUser);
+
+      expect(result.success).toBe(true);
+      expect(result.data.effectiveDestination).toBe('https://example.com/landing');
+      expect(result.data.variants).toEqual([
+        { name: 'control', url: 'https://example.com/landing', weight: 70, clicks: 7 },
+        { name: 'new-hero', url: 'https://example.com/landing-b', weight: 30, clicks: 3 }
+      ]);
+      expect(result.data.clickEvents[0].variant).toBe('new-hero');
+    });
+
+    it('should return 403 when the caller does not own the URL', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/very-long-url',
+        isExpired: false,
+        createdBy: 'someone-else'
+      };
+
+      Url.findOne.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.getUrlStats('test-code', mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(403);
+      expect(result.error).toBe('Access denied');
+    });
+
+    it('should return 403 for legacy system URLs', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/very-long-url',
+        isExpired: false,
+        createdBy: 'system'
+      };
+
+      Url.findOne.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.getUrlStats('test-code', mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(403);
     });
 
     it('should return 404 for non-existent shortcode', async () => {
-      Url.findByShortcode.mockResolvedValue(null);
+      Url.findOne.mockResolvedValue(null);
 
-      const result = await urlService.getUrlStats('non-existent');
+      const result = await urlService.getUrlStats('non-existent', mockUser);
 
       expect(result.success).toBe(false);
       expect(result.statusCode).toBe(404);
       expect(result.error).toBe('URL not found');
     });
 
-    it('should return 410 for expired URL', async () => {
+    it('should return statistics of expired and deactivated URLs', async () => {
       const mockUrlDoc = {
         originalUrl: 'https://example.com/very-long-url',
+        createdAt: new Date('2019-12-01T00:00:00.000Z'),
         expiresAt: new Date('2020-01-01T00:00:00.000Z'),
-        clickCount: 0,
-        isExpired: true
+        clickCount: 7,
+        isExpired: true,
+        isActive: false,
+        createdBy: 'owner-client-id'
       };
 
-      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+      Url.findOne.mockResolvedValue(mockUrlDoc);
 
-      const result = await urlService.getUrlStats('expired-code');
+      const result = await urlService.getUrlStats('Expired-Code', mockUser);
 
-      expect(result.success).toBe(false);
-      expect(result.statusCode).toBe(410);
-      expect(result.error).toBe('URL has expired');
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ totalClicks: 7, isActive: false, isExpired: true });
+      expect(Url.findOne).toHaveBeenCalledWith({ shortcode: 'expired-code' });
+      expect(Url.findByShortcode).not.toHaveBeenCalled();
     });
 
     it('should reject invalid shortcode format', async () => {
-      const result = await urlService.getUrlStats('invalid@code');
+      const result = await urlService.getUrlStats('invalid@code', mockUser);
 
       expect(result.success).toBe(false);
       expect(result.error).toBe('Invalid shortcode format');
     });
   });
 
+  describe('listUrls', () => {
+    const buildDocs = (count) =>
+      Array.from({ length: count }, (_, index) => ({
+        _id: `id-${index}`,
+        shortcode: `code-${index}`,
+        shortLink: `http://localhost:3000/code-${index}`,
+        originalUrl: 'https://example.com/page',
+        createdAt: new Date(Date.UTC(2024, 0, 10 - index)),
+        expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+        isActive: true,
+        isExpired: false,
+        clickCount: index
+      }));
+
+    const mockFind = (docs) => {
+      const query = {
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue(docs)
+      };
+      Url.find.mockReturnValue(query);
+      return query;
+    };
+
+    it('should list only the caller\'s URLs with a next cursor', async () => {
+      const query = mockFind(buildDocs(3));
+
+      const result = await urlService.listUrls(mockUser, { limit: 2 });
+
+      expect(result.success).toBe(true);
+      expect(result.data.items).toHaveLength(2);
+      expect(result.data.pagination.hasMore).toBe(true);
+      expect(result.data.pagination.nextCursor).toEqual(expect.any(String));
+      expect(Url.find).toHaveBeenCalledWith(
+        expect.objectContaining({ createdBy: 'owner-client-id' })
+      );
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+      expect(query.limit).toHaveBeenCalledWith(3);
+    });
+
+    it('should resume after the cursor of the previous page', async () => {
+      mockFind(buildDocs(3));
+      const firstPage = await urlService.listUrls(mockUser, { limit: 2 });
+
+      mockFind([]);
+      await urlService.listUrls(mockUser, {
+        limit: 2,
+        cursor: firstPage.data.pagination.nextCursor
+      });
+
+      const filter = Url.find.mock.calls[1][0];
+      expect(filter.$or).toEqual([
+        { createdAt: { $lt: new Date(Date.UTC(2024, 0, 9)) } },
+        { createdAt: new Date(Date.UTC(2024, 0, 9)), _id: { $lt: 'id-1' } }
+      ]);
+    });
+
+    it('should apply status, search and sort options', async () => {
+      const query = mockFind([]);
+
+      const result = await urlService.listUrls(mockUser, {
+        status: 'deactivated',
+        search: 'example.com',
+        sortBy: 'clickCount',
+        order: 'asc'
+      });
+
+      const filter = Url.find.mock.calls[0][0];
+      expect(result.success).toBe(true);
+      expect(result.data.pagination.nextCursor).toBeNull();
+      expect(filter.isActive).toBe(false);
+      expect(filter.originalUrl).toEqual({ $regex: 'example\\.com', $options: 'i' });
+      expect(query.sort).toHaveBeenCalledWith({ clickCount: 1, _id: 1 });
+    });
+
+    it('should reject an unknown sort field', async () => {
+      const result = await urlService.listUrls(mockUser, { sortBy: 'originalUrl' });
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(400);
+      expect(result.error).toBe('Validation failed');
+    });
+
+    it('should reject a malformed cursor', async () => {
+      const result = await urlService.listUrls(mockUser, { cursor: 'bm90LWpzb24' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid cursor');
+    });
+  });
+
   describe('redirectToUrl', () => {
     it('should redirect to original URL and log click', async () => {
       const mockUrlDoc = {
@@ -191,7 +971,7 @@ describe('URL Service', () => {
         expiresAt: new Date('2024-12-31T23:59:59.000Z'),
         clickCount: 0,
         isExpired: false,
-        addClickEvent: jest.fn().mockResolvedValue(true)
+        incrementClicks: jest.fn().mockResolvedValue(true)
       };
 
       const mockReq = {
@@ -205,7 +985,7 @@ describe('URL Service', () => {
 
       expect(result.success).toBe(true);
       expect(result.data.originalUrl).toBe('https://example.com/very-long-url');
-      expect(mockUrlDoc.addClickEvent).toHaveBeenCalled();
+      expect(mockUrlDoc.incrementClicks).toHaveBeenCalled();
     });
 
     it('should return 404 for non-existent shortcode', async () => {
@@ -217,6 +997,37 @@ describe('URL Service', () => {
       expect(result.statusCode).toBe(404);
     });
 
+    it('should notify webhooks of human clicks with the new click count', async () => {
+      const notifyClick = jest.spyOn(webhookService, 'notifyClick').mockResolvedValue();
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/launch',
+        shortcode: 'launch',
+        isExpired: false,
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 100 })
+      };
+      const visit = (userAgent) =>
+        urlService.redirectToUrl('launch', {
+          get: jest.fn((header) => (header === 'User-Agent' ? userAgent : undefined)),
+          headers: {},
+          connection: {},
+          socket: {},
+          ip: '127.0.0.1'
+        });
+
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      await visit('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0 Safari/537.36');
+      await visit('Twitterbot/1.0');
+
+      expect(notifyClick).toHaveBeenCalledTimes(1);
+      expect(notifyClick).toHaveBeenCalledWith(
+        mockUrlDoc,
+        expect.objectContaining({ destination: 'https://example.com/launch', isBot: false }),
+        100
+      );
+      notifyClick.mockRestore();
+    });
+
     it('should return 410 for expired URL', async () => {
       const mockUrlDoc = {
         originalUrl: 'https://example.com/very-long-url',
@@ -231,41 +1042,1592 @@ describe('URL Service', () => {
       expect(result.success).toBe(false);
       expect(result.statusCode).toBe(410);
     });
-  });
 
-  describe('deleteUrl', () => {
-    it('should delete existing URL', async () => {
+    it('should answer not yet active before the activation time', async () => {
+      const activatesAt = new Date(Date.now() + 60 * 60 * 1000);
       const mockUrlDoc = {
-        shortcode: 'test-code',
-        deactivate: jest.fn().mockResolvedValue(true)
+        originalUrl: 'https://example.com/launch',
+        activatesAt,
+        isPending: true,
+        isExpired: false,
+        incrementClicks: jest.fn()
       };
 
-      Url.findOne.mockResolvedValue(mockUrlDoc);
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
 
-      const result = await urlService.deleteUrl('test-code');
+      const result = await urlService.redirectToUrl('launch-day', {});
 
-      expect(result.success).toBe(true);
-      expect(result.message).toBe('URL deleted successfully');
-      expect(mockUrlDoc.deactivate).toHaveBeenCalled();
+      expect(Url.findByShortcode).toHaveBeenCalledWith('launch-day', { includePending: true });
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(403);
+      expect(result.error).toBe('URL is not active yet');
+      expect(result.details.activatesAt).toBe(activatesAt.toISOString());
+      expect(mockUrlDoc.incrementClicks).not.toHaveBeenCalled();
     });
 
-    it('should return error for non-existent URL', async () => {
-      Url.findOne.mockResolvedValue(null);
+    it('should return 410 once the click limit is used up', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/download',
+        isExpired: false,
+        maxClicks: 1,
+        remainingClicks: 0,
+        incrementClicks: jest.fn()
+      };
+
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
 
-      const result = await urlService.deleteUrl('non-existent');
+      const result = await urlService.redirectToUrl('one-time', {});
 
       expect(result.success).toBe(false);
-      expect(result.error).toBe('URL not found');
+      expect(result.statusCode).toBe(410);
+      expect(result.error).toBe('URL click limit reached');
+      expect(mockUrlDoc.incrementClicks).not.toHaveBeenCalled();
     });
 
-    it('should reject invalid shortcode format', async () => {
-      const result = await urlService.deleteUrl('invalid@code');
+    it('should return 410 when a concurrent click takes the last slot', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/download',
+        isExpired: false,
+        maxClicks: 1,
+        remainingClicks: 1,
+        incrementClicks: jest.fn().mockResolvedValue(null)
+      };
+
+      const mockReq = {
+        get: jest.fn().mockReturnValue(undefined),
+        headers: {},
+        connection: {},
+        socket: {},
+        ip: '127.0.0.1'
+      };
+
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.redirectToUrl('one-time', mockReq);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(410);
+      expect(mockUrlDoc.incrementClicks).toHaveBeenCalled();
+    });
+
+    it('should send visitors to the first matching geo rule', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/store',
+        isExpired: false,
+        geoRules: [
+          { name: 'california', countries: ['US'], regions: ['CA'], url: 'https://example.com/store/ca' },
+          { name: 'usa', countries: ['us'], regions: [], url: 'https://example.com/store/us' }
+        ],
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 })
+      };
+
+      const mockReq = {
+        get: jest.fn().mockReturnValue(undefined),
+        headers: {},
+        connection: {},
+        socket: {},
+        ip: '203.0.113.10'
+      };
+
+      jest.spyOn(geoIpService, 'getLocation').mockResolvedValueOnce({
+        country: 'United States',
+        countryCode: 'US',
+        region: 'Texas',
+        regionCode: 'TX',
+        city: 'Austin',
+        ip: '203.0.113.10'
+      });
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.redirectToUrl('store', mockReq);
+
+      expect(result.success).toBe(true);
+      expect(result.data.destinationUrl).toBe('https://example.com/store/us');
+      expect(result.data.clickEvent.matchedRule).toBe('geo:usa');
+      expect(mockUrlDoc.incrementClicks).toHaveBeenCalledWith(
+        expect.objectContaining({
+          destination: 'https://example.com/store/us',
+          matchedRule: 'geo:usa'
+        })
+      );
+    });
+
+    it('should fall back to the original URL when no geo rule matches', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/store',
+        isExpired: false,
+        geoRules: [{ name: 'india', countries: ['IN'], regions: [], url: 'https://example.com/store/in' }],
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 })
+      };
+
+      const mockReq = {
+        get: jest.fn().mockReturnValue(undefined),
+        headers: {},
+        connection: {},
+        socket: {},
+        ip: '127.0.0.1'
+      };
+
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.redirectToUrl('store', mockReq);
+
+      expect(result.success).toBe(true);
+      expect(result.data.destinationUrl).toBe('https://example.com/store');
+      expect(result.data.clickEvent.matchedRule).toBeNull();
+    });
+
+    it('should pick a device rule and record the parsed User-Agent', async () => {
+      const iPhoneUserAgent =
+        'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 ' +
+        '(KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/app',
+        isExpired: false,
+        geoRules: [],
+        deviceRules: [
+          { name: 'android', devices: [], os: ['Android'], url: 'https://play.example.com/app' },
+          { name: 'ios', devices: [], os: ['iOS'], url: 'https://apps.example.com/app' }
+        ],
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 })
+      };
+
+      const mockReq = {
+        get: jest.fn((header) => (header === 'User-Agent' ? iPhoneUserAgent : undefined)),
+        headers: {},
+        connection: {},
+        socket: {},
+        ip: '127.0.0.1'
+      };
+
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.redirectToUrl('get-app', mockReq);
+
+      expect(result.success).toBe(true);
+      expect(result.data.destinationUrl).toBe('https://apps.example.com/app');
+      expect(mockUrlDoc.incrementClicks).toHaveBeenCalledWith(
+        expect.objectContaining({
+          device: 'mobile',
+          os: 'iOS',
+          browser: 'Safari',
+          matchedRule: 'device:ios'
+        })
+      );
+      expect(ClickEvent.record).toHaveBeenCalledWith(
+        mockUrlDoc,
+        expect.objectContaining({
+          destination: 'https://apps.example.com/app',
+          matchedRule: 'device:ios'
+        })
+      );
+    });
+
+    it('should still redirect when the click event cannot be stored', async () => {
+      const mockUrlDoc = {
+        shortcode: 'busy',
+        originalUrl: 'https://example.com/busy',
+        isExpired: false,
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 })
+      };
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+      ClickEvent.record.mockRejectedValueOnce(new Error('write conflict'));
+
+      const result = await urlService.redirectToUrl('busy', {
+        get: jest.fn(),
+        headers: {},
+        connection: {},
+        socket: {},
+        ip: '127.0.0.1'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.destinationUrl).toBe('https://example.com/busy');
+      expect(logger.error).toHaveBeenCalledWith(
+        'Failed to store click event',
+        expect.objectContaining({ shortcode: 'busy', error: 'write conflict' })
+      );
+    });
+
+    it('should record a daily visitor hash instead of the IP address', async () => {
+      const mockUrlDoc = {
+        shortcode: 'private',
+        originalUrl: 'https://example.com/private',
+        isExpired: false,
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 })
+      };
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+      const mockReq = {
+        get: jest.fn((header) => (header === 'User-Agent' ? 'Mozilla/5.0' : undefined)),
+        headers: {},
+        connection: {},
+        socket: {},
+        ip: '203.0.113.7'
+      };
+
+      await urlService.redirectToUrl('private', mockReq);
+      await urlService.redirectToUrl('private', mockReq);
+
+      const [[, first], [, second]] = ClickEvent.record.mock.calls;
+      expect(first.visitorId).toMatch(/^[0-9a-f]{64}$/);
+      expect(second.visitorId).toBe(first.visitorId);
+      expect(first.geoLocation).not.toHaveProperty('ip');
+      expect(JSON.stringify(first)).not.toContain('203.0.113.7');
+
+      const today = await visitorHashService.hash('203.0.113.7', 'Mozilla/5.0');
+      const tomorrow = await visitorHashService.hash(
+        '203.0.113.7',
+        'Mozilla/5.0',
+        new Date(Date.now() + 24 * 60 * 60 * 1000)
+      );
+      expect(today).toBe(first.visitorId);
+      expect(tomorrow).not.toBe(today);
+      expect(await visitorHashService.hash('203.0.113.8', 'Mozilla/5.0')).not.toBe(today);
+    });
+
+    it('should flag clicks from link-preview bots', async () => {
+      const mockUrlDoc = {
+        shortcode: 'shared',
+        originalUrl: 'https://example.com/shared',
+        isExpired: false,
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 0 })
+      };
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+      const slackUserAgent = 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)';
+
+      const result = await urlService.redirectToUrl('shared', {
+        get: jest.fn((header) => (header === 'User-Agent' ? slackUserAgent : undefined)),
+        headers: { 'user-agent': slackUserAgent },
+        connection: {},
+        socket: {},
+        ip: '127.0.0.1'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.destinationUrl).toBe('https://example.com/shared');
+      expect(result.data.clickEvent.isBot).toBe(true);
+      expect(mockUrlDoc.incrementClicks).toHaveBeenCalledWith(
+        expect.objectContaining({ isBot: true, botName: 'Slackbot' })
+      );
+      expect(ClickEvent.record).toHaveBeenCalledWith(
+        mockUrlDoc,
+        expect.objectContaining({ isBot: true, botName: 'Slackbot' })
+      );
+    });
+
+    it('should redirect HEAD and prefetch requests without counting a click', async () => {
+      const mockUrlDoc = {
+        shortcode: 'prefetched',
+        originalUrl: 'https://example.com/prefetched',
+        isExpired: false,
+        incrementClicks: jest.fn()
+      };
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+      const request = (method, headers) => ({
+        method,
+        get: jest.fn((header) => (header === 'User-Agent' ? 'Mozilla/5.0' : undefined)),
+        headers,
+        connection: {},
+        socket: {},
+        ip: '127.0.0.1'
+      });
+
+      const requests = [
+        request('HEAD', {}),
+        request('GET', { purpose: 'prefetch' }),
+        request('GET', { 'sec-purpose': 'prefetch;prerender' })
+      ];
+      for (const req of requests) {
+        const result = await urlService.redirectToUrl('prefetched', req);
+
+        expect(result.success).toBe(true);
+        expect(result.data.destinationUrl).toBe('https://example.com/prefetched');
+        expect(result.data.cacheControl).toBe('private, no-store');
+        expect(result.data.clickEvent).toBeNull();
+      }
+
+      expect(mockUrlDoc.incrementClicks).not.toHaveBeenCalled();
+      expect(ClickEvent.record).not.toHaveBeenCalled();
+    });
+
+    it('should tag the destination with UTM parameters by the link\'s mode', async () => {
+      const buildUtmDoc = (utmMode) => ({
+        originalUrl: 'https://example.com/sale?utm_source=site&page=2',
+        isExpired: false,
+        utm: { source: 'newsletter', medium: 'email', campaign: null, term: null, content: null },
+        utmMode,
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 })
+      });
+
+      const mockReq = {
+        get: jest.fn().mockReturnValue(undefined),
+        headers: {},
+        connection: {},
+        socket: {},
+        ip: '127.0.0.1'
+      };
+
+      Url.findByShortcode.mockResolvedValueOnce(buildUtmDoc('preserve'));
+      const preserved = await urlService.redirectToUrl('sale', mockReq);
+
+      Url.findByShortcode.mockResolvedValueOnce(buildUtmDoc('override'));
+      const overridden = await urlService.redirectToUrl('sale', mockReq);
+
+      expect(preserved.data.destinationUrl).toBe(
+        'https://example.com/sale?utm_source=site&page=2&utm_medium=email'
+      );
+      expect(overridden.data.destinationUrl).toBe(
+        'https://example.com/sale?page=2&utm_source=newsletter&utm_medium=email'
+      );
+    });
+
+    it('should forward extra path and query on pass-through links', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/docs?lang=en',
+        isExpired: false,
+        passThrough: true,
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 })
+      };
+
+      const mockReq = {
+        originalUrl: '/docs-link/guides/setup/?ref=twitter&lang=fr',
+        get: jest.fn().mockReturnValue(undefined),
+        headers: {},
+        connection: {},
+        socket: {},
+        ip: '127.0.0.1'
+      };
+
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.redirectToUrl('docs-link', mockReq);
+
+      expect(result.success).toBe(true);
+      expect(result.data.destinationUrl).toBe('https://example.com/docs/guides/setup?lang=en&ref=twitter');
+      expect(mockUrlDoc.incrementClicks).toHaveBeenCalledWith(
+        expect.objectContaining({ destination: 'https://example.com/docs/guides/setup?lang=en&ref=twitter' })
+      );
+    });
+
+    it('should record QR scans without passing the marker on', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/docs',
+        isExpired: false,
+        passThrough: true,
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 })
+      };
+
+      const mockReq = {
+        originalUrl: '/docs-link?qr=1&ref=poster',
+        query: { qr: '1', ref: 'poster' },
+        get: jest.fn().mockReturnValue(undefined),
+        headers: {},
+        connection: {},
+        socket: {},
+        ip: '127.0.0.1'
+      };
+
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.redirectToUrl('docs-link', mockReq);
+
+      expect(result.success).toBe(true);
+      expect(result.data.destinationUrl).toBe('https://example.com/docs?ref=poster');
+      expect(mockUrlDoc.incrementClicks).toHaveBeenCalledWith(
+        expect.objectContaining({ isQrScan: true })
+      );
+    });
+
+    it('should return 404 for extra path segments without pass-through', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/docs',
+        isExpired: false,
+        passThrough: false,
+        incrementClicks: jest.fn()
+      };
+
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.redirectToUrl('docs-link', { originalUrl: '/docs-link/guides' });
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(404);
+      expect(mockUrlDoc.incrementClicks).not.toHaveBeenCalled();
+    });
+
+    it('should use the default 302 and forbid caching of temporary redirects', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/page',
+        isExpired: false,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        redirectStatus: null,
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 })
+      };
+
+      const mockReq = {
+        get: jest.fn().mockReturnValue(undefined),
+        headers: {},
+        connection: {},
+        socket: {},
+        ip: '127.0.0.1'
+      };
+
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.redirectToUrl('page', mockReq);
+
+      expect(result.success).toBe(true);
+      expect(result.data.redirectStatus).toBe(302);
+      expect(result.data.cacheControl).toBe('private, no-store');
+    });
+
+    it('should let permanent redirects be cached until the link expires', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/page',
+        isExpired: false,
+        expiresAt: new Date(Date.now() + 10 * 60 * 1000),
+        redirectStatus: 308,
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 })
+      };
+
+      const mockReq = {
+        get: jest.fn().mockReturnValue(undefined),
+        headers: {},
+        connection: {},
+        socket: {},
+        ip: '127.0.0.1'
+      };
+
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.redirectToUrl('page', mockReq);
+
+      expect(result.data.redirectStatus).toBe(308);
+      const maxAge = Number(result.data.cacheControl.match(/^public, max-age=(\d+)$/)[1]);
+      expect(maxAge).toBeGreaterThan(590);
+      expect(maxAge).toBeLessThanOrEqual(600);
+    });
+
+    it('should not cache permanent redirects of click-limited links', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/page',
+        isExpired: false,
+        expiresAt: new Date(Date.now() + 10 * 60 * 1000),
+        redirectStatus: 301,
+        maxClicks: 50,
+        remainingClicks: 10,
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 41 })
+      };
+
+      const mockReq = {
+        get: jest.fn().mockReturnValue(undefined),
+        headers: {},
+        connection: {},
+        socket: {},
+        ip: '127.0.0.1'
+      };
+
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.redirectToUrl('page', mockReq);
+
+      expect(result.data.redirectStatus).toBe(301);
+      expect(result.data.cacheControl).toBe('private, no-store');
+    });
+
+    it('should split clicks across A/B variants by weight', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/landing',
+        isExpired: false,
+        variants: [
+          { name: 'control', url: 'https://example.com/landing', weight: 70 },
+          { name: 'new-hero', url: 'https://example.com/landing-b', weight: 30 }
+        ],
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 })
+      };
+
+      const mockReq = {
+        get: jest.fn().mockReturnValue(undefined),
+        headers: {},
+        connection: {},
+        socket: {},
+        ip: '127.0.0.1'
+      };
+
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+      const randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0.75);
+
+      const result = await urlService.redirectToUrl('landing', mockReq);
+      randomSpy.mockRestore();
+
+      expect(result.success).toBe(true);
+      expect(result.data.destinationUrl).toBe('https://example.com/landing-b');
+      expect(result.data.clickEvent.variant).toBe('new-hero');
+      expect(mockUrlDoc.incrementClicks).toHaveBeenCalledWith(
+        expect.objectContaining({ variant: 'new-hero', matchedRule: null })
+      );
+    });
+  });
+
+  describe('getTimeseries', () => {
+    const urlDoc = {
+      _id: 'url-id',
+      shortcode: 'campaign',
+      isExpired: false,
+      createdBy: 'owner-client-id'
+    };
+
+    it('should aggregate clicks into zero-filled buckets in the time zone', async () => {
+      Url.findOne.mockResolvedValue(urlDoc);
+      ClickEvent.aggregate.mockResolvedValue([
+        { _id: new Date('2023-12-31T18:30:00.000Z'), clicks: 17, uniqueClicks: 12 },
+        { _id: new Date('2024-01-01T18:30:00.000Z'), clicks: 25, uniqueClicks: 19 }
+      ]);
+
+      const result = await urlService.getTimeseries('campaign', mockUser, {
+        interval: 'day',
+        from: '2024-01-01T00:00:00.000Z',
+        to: '2024-01-03T00:00:00.000Z',
+        timezone: 'Asia/Kolkata'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.totalClicks).toBe(42);
+      expect(result.data.buckets).toEqual([
+        { start: '2023-12-31T18:30:00.000Z', clicks: 17, uniqueClicks: 12 },
+        { start: '2024-01-01T18:30:00.000Z', clicks: 25, uniqueClicks: 19 },
+        { start: '2024-01-02T18:30:00.000Z', clicks: 0, uniqueClicks: 0 }
+      ]);
+
+      const [match, project, group] = ClickEvent.aggregate.mock.calls[0][0];
+      expect(match.$match).toEqual({
+        url: 'url-id',
+        timestamp: {
+          $gte: new Date('2024-01-01T00:00:00.000Z'),
+          $lt: new Date('2024-01-03T00:00:00.000Z')
+        },
+        isBot: { $ne: true }
+      });
+      expect(project.$project.parts.$dateToParts.timezone).toBe('Asia/Kolkata');
+      expect(group.$group._id).toEqual({
+        $dateFromParts: {
+          timezone: 'Asia/Kolkata',
+          year: '$parts.year',
+          month: '$parts.month',
+          day: '$parts.day'
+        }
+      });
+    });
+
+    it('should start weekly buckets on Monday across a DST change', async () => {
+      Url.findOne.mockResolvedValue(urlDoc);
+      ClickEvent.aggregate.mockResolvedValue([]);
+
+      const result = await urlService.getTimeseries('campaign', mockUser, {
+        interval: 'week',
+        from: '2024-10-21T00:00:00.000Z',
+        to: '2024-11-04T00:00:00.000Z',
+        timezone: 'Europe/Berlin'
+      });
+
+      expect(result.data.buckets.map((bucket) => bucket.start)).toEqual([
+        '2024-10-20T22:00:00.000Z',
+        '2024-10-27T23:00:00.000Z',
+        '2024-11-03T23:00:00.000Z'
+      ]);
+      const group = ClickEvent.aggregate.mock.calls[0][0][2];
+      expect(group.$group._id.$dateFromParts).toMatchObject({
+        isoWeekYear: '$parts.isoWeekYear',
+        isoWeek: '$parts.isoWeek',
+        isoDayOfWeek: 1
+      });
+    });
+
+    it('should default to the last 30 days of daily buckets in UTC', async () => {
+      Url.findOne.mockResolvedValue(urlDoc);
+      ClickEvent.aggregate.mockResolvedValue([]);
+
+      const result = await urlService.getTimeseries('campaign', mockUser, {});
+
+      expect(result.data.interval).toBe('day');
+      expect(result.data.timezone).toBe('UTC');
+      expect(new Date(result.data.to) - new Date(result.data.from)).toBe(30 * 24 * 60 * 60 * 1000);
+      expect(result.data.buckets.length).toBeGreaterThanOrEqual(30);
+    });
+
+    it('should keep serving the history of expired and deactivated links', async () => {
+      Url.findOne.mockResolvedValue({ ...urlDoc, isExpired: true, isActive: false });
+      ClickEvent.aggregate.mockResolvedValue([{ _id: new Date('2024-01-01T00:00:00.000Z'), clicks: 3, uniqueClicks: 2 }]);
+
+      const result = await urlService.getTimeseries('Campaign', mockUser, {
+        from: '2024-01-01T00:00:00.000Z',
+        to: '2024-01-02T00:00:00.000Z'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.totalClicks).toBe(3);
+      expect(Url.findOne).toHaveBeenCalledWith({ shortcode: 'campaign' });
+      expect(Url.findByShortcode).not.toHaveBeenCalled();
+    });
+
+    it('should refuse the history of another user\'s link', async () => {
+      Url.findOne.mockResolvedValue({ ...urlDoc, createdBy: 'someone-else' });
+
+      const result = await urlService.getTimeseries('campaign', mockUser, {});
+
+      expect(result.statusCode).toBe(403);
+      expect(ClickEvent.aggregate).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown time zone or too many buckets', async () => {
+      const badZone = await urlService.getTimeseries('campaign', mockUser, {
+        timezone: 'Mars/Olympus'
+      });
+
+      expect(badZone.statusCode).toBe(400);
+      expect(badZone.details[0].field).toBe('timezone');
+
+      const tooMany = await urlService.getTimeseries('campaign', mockUser, {
+        interval: 'minute',
+        from: '2024-01-01T00:00:00.000Z',
+        to: '2024-01-02T00:00:00.000Z'
+      });
+
+      expect(tooMany.statusCode).toBe(400);
+      expect(tooMany.details[0].field).toBe('interval');
+      expect(ClickEvent.aggregate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getBreakdowns', () => {
+    const urlDoc = {
+      _id: 'url-id',
+      shortcode: 'campaign',
+      isExpired: false,
+      createdBy: 'owner-client-id'
+    };
+
+    it('should return top values with percentages from one aggregation', async () => {
+      Url.findOne.mockResolvedValue(urlDoc);
+      ClickEvent.aggregate.mockResolvedValue([
+        {
+          total: [{ clicks: 200 }],
+          country: [
+            { _id: 'India', clicks: 120 },
+            { _id: 'United States', clicks: 50 }
+          ],
+          referrer: [
+            { _id: 'direct', clicks: 90 },
+            { _id: 'google.com', clicks: 70 },
+            { _id: null, clicks: 40 }
+          ]
+        }
+      ]);
+
+      const result = await urlService.getBreakdowns('campaign', mockUser, {
+        dimensions: 'country,referrer',
+        limit: '3',
+        from: '2024-01-01T00:00:00.000Z'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.totalClicks).toBe(200);
+      expect(result.data.breakdowns.country).toEqual({
+        items: [
+          { value: 'India', clicks: 120, percentage: 60 },
+          { value: 'United States', clicks: 50, percentage: 25 }
+        ],
+        otherClicks: 30,
+        otherPercentage: 15
+      });
+      expect(result.data.breakdowns.referrer.otherClicks).toBe(0);
+      expect(Object.keys(result.data.breakdowns)).toEqual(['country', 'referrer']);
+
+      const [match, facet] = ClickEvent.aggregate.mock.calls[0][0];
+      expect(match.$match).toEqual({
+        url: 'url-id',
+        timestamp: { $gte: new Date('2024-01-01T00:00:00.000Z') },
+        isBot: { $ne: true }
+      });
+      expect(Object.keys(facet.$facet)).toEqual(['total', 'country', 'referrer']);
+      expect(facet.$facet.country).toEqual([
+        { $group: { _id: '$geoLocation.country', clicks: { $sum: 1 } } },
+        { $sort: { clicks: -1, _id: 1 } },
+        { $limit: 3 }
+      ]);
+    });
+
+    it('should group referrers by domain without www', async () => {
+      Url.findOne.mockResolvedValue(urlDoc);
+      ClickEvent.aggregate.mockResolvedValue([{ total: [], referrer: [] }]);
+
+      const result = await urlService.getBreakdowns('campaign', mockUser, {
+        dimensions: 'referrer'
+      });
+
+      expect(result.data.totalClicks).toBe(0);
+      const facet = ClickEvent.aggregate.mock.calls[0][0][1];
+      const { regex, options } = facet.$facet.referrer[0].$group._id.$let.vars.match.$regexFind;
+      const host = (referrer) => {
+        const match = new RegExp(regex, options).exec(referrer);
+        return match && match[1];
+      };
+
+      expect(host('https://www.google.com/search?q=shoes')).toBe('google.com');
+      expect(host('http://user@news.ycombinator.com:8080/item')).toBe('news.ycombinator.com');
+      expect(host('Direct')).toBeNull();
+    });
+
+    it('should keep serving breakdowns of expired and deactivated links', async () => {
+      Url.findOne.mockResolvedValue({ ...urlDoc, isExpired: true, isActive: false });
+      ClickEvent.aggregate.mockResolvedValue([{ total: [{ clicks: 4 }], country: [{ _id: 'India', clicks: 4 }] }]);
+
+      const result = await urlService.getBreakdowns('campaign', mockUser, { dimensions: 'country' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.totalClicks).toBe(4);
+      expect(Url.findOne).toHaveBeenCalledWith({ shortcode: 'campaign' });
+      expect(Url.findByShortcode).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown dimensions', async () => {
+      const result = await urlService.getBreakdowns('campaign', mockUser, {
+        dimensions: 'country,planet'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(400);
+      expect(result.details[0].field).toBe('dimensions');
+    });
+  });
+
+  describe('exportClicks', () => {
+    const urlDoc = {
+      _id: 'url-id',
+      shortcode: 'campaign',
+      isExpired: false,
+      createdBy: 'owner-client-id'
+    };
+
+    const clickEvents = [
+      {
+        timestamp: new Date('2024-01-01T11:30:00.000Z'),
+        shortcode: 'campaign',
+        referrer: '=HYPERLINK("https://evil.example")',
+        geoLocation: { country: 'United States', countryCode: 'US', city: 'San Francisco' },
+        visitorId: 'abc123',
+        userAgent: 'Mozilla/5.0 (X11; Linux x86_64)',
+        device: 'desktop',
+        os: 'Linux',
+        browser: null,
+        destination: 'https://example.com/landing',
+        isQrScan: true
+      },
+      {
+        timestamp: new Date('2024-01-02T08:00:00.000Z'),
+        shortcode: 'campaign',
+        referrer: 'Direct',
+        geoLocation: {},
+        destination: 'https://example.com/landing',
+        isBot: true,
+        botName: 'Slackbot'
+      }
+    ];
+
+    async function* cursorOf(events) {
+      yield* events;
+    }
+
+    const readAll = async (stream) => {
+      let text = '';
+      for await (const chunk of stream) {
+        text += chunk;
+      }
+      return text;
+    };
+
+    it('should stream click events as CSV with flattened fields', async () => {
+      Url.findOne.mockResolvedValue(urlDoc);
+      ClickEvent.streamEvents.mockReturnValue(cursorOf(clickEvents));
+
+      const result = await urlService.exportClicks('campaign', mockUser, {
+        from: '2024-01-01T00:00:00.000Z'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.contentType).toBe('text/csv; charset=utf-8');
+      expect(result.data.filename).toBe('campaign-clicks.csv');
+      expect(ClickEvent.streamEvents).toHaveBeenCalledWith({
+        url: 'url-id',
+        timestamp: { $gte: new Date('2024-01-01T00:00:00.000Z') },
+        isBot: { $ne: true }
+      });
+
+      const lines = (await readAll(result.data.body)).split('\r\n');
+      expect(lines[0]).toBe(
+        'timestamp,shortcode,referrer,country,countryCode,region,regionCode,city,visitorId,' +
+          'userAgent,device,os,browser,destination,matchedRule,variant,isQrScan,isBot,botName'
+      );
+      expect(lines[1]).toBe(
+        '2024-01-01T11:30:00.000Z,campaign,"\'=HYPERLINK(""https://evil.example"")",' +
+          'United States,US,,,San Francisco,abc123,Mozilla/5.0 (X11; Linux x86_64),desktop,Linux,,' +
+          'https://example.com/landing,,,true,false,'
+      );
+      expect(lines[2]).toBe(
+        '2024-01-02T08:00:00.000Z,campaign,Direct,,,,,,,,,,,https://example.com/landing,,,false,true,Slackbot'
+      );
+      expect(lines[3]).toBe('');
+    });
+
+    it('should stream click events as NDJSON', async () => {
+      Url.findOne.mockResolvedValue(urlDoc);
+      ClickEvent.streamEvents.mockReturnValue(cursorOf(clickEvents));
+
+      const result = await urlService.exportClicks('campaign', mockUser, {
+        format: 'ndjson',
+        includeBots: 'true'
+      });
+
+      expect(result.data.contentType).toBe('application/x-ndjson; charset=utf-8');
+      expect(ClickEvent.streamEvents.mock.calls[0][0]).not.toHaveProperty('isBot');
+
+      const rows = (await readAll(result.data.body))
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toMatchObject({
+        referrer: '=HYPERLINK("https://evil.example")',
+        country: 'United States',
+        region: null,
+        isQrScan: true,
+        isBot: false
+      });
+      expect(rows[1]).toMatchObject({ isBot: true, botName: 'Slackbot', city: null });
+    });
+
+    it('should not export clicks of URLs the caller does not own', async () => {
+      Url.findOne.mockResolvedValue({ ...urlDoc, createdBy: 'someone-else' });
+
+      const result = await urlService.exportClicks('campaign', mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(403);
+      expect(ClickEvent.streamEvents).not.toHaveBeenCalled();
+    });
+
+    it('should export clicks of expired and deactivated links', async () => {
+      Url.findOne.mockResolvedValue({ ...urlDoc, isExpired: true, isActive: false });
+      ClickEvent.streamEvents.mockReturnValue(cursorOf(clickEvents));
+
+      const result = await urlService.exportClicks('campaign', mockUser, { format: 'ndjson' });
+
+      expect(result.success).toBe(true);
+      expect(Url.findOne).toHaveBeenCalledWith({ shortcode: 'campaign' });
+      expect(Url.findByShortcode).not.toHaveBeenCalled();
+      expect((await readAll(result.data.body)).trim().split('\n')).toHaveLength(2);
+    });
+
+    it('should reject unknown formats', async () => {
+      const result = await urlService.exportClicks('campaign', mockUser, { format: 'xml' });
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(400);
+      expect(result.details[0].field).toBe('format');
+    });
+  });
+
+  describe('openLiveClicks', () => {
+    const urlDoc = {
+      _id: 'live-id',
+      shortcode: 'launch',
+      originalUrl: 'https://example.com/launch',
+      isExpired: false,
+      createdBy: 'owner-client-id',
+      incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 })
+    };
+
+    const visit = (userAgent) =>
+      urlService.redirectToUrl('launch', {
+        get: jest.fn((header) => (header === 'User-Agent' ? userAgent : undefined)),
+        headers: {},
+        connection: {},
+        socket: {},
+        ip: '127.0.0.1'
+      });
+
+    afterEach(() => {
+      liveClicksService.closeAll();
+    });
+
+    it('should push each recorded click with the stats fields', async () => {
+      Url.findByShortcode.mockResolvedValue(urlDoc);
+      const result = await urlService.openLiveClicks('launch', mockUser);
+      expect(result.success).toBe(true);
+
+      const onClick = jest.fn();
+      const unsubscribe = result.data.subscribe(onClick);
+
+      await visit('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0 Safari/537.36');
+      await visit('Twitterbot/1.0');
+
+      expect(onClick).toHaveBeenCalledTimes(1);
+      expect(Object.keys(onClick.mock.calls[0][0])).toEqual([
+        'timestamp',
+        'referrer',
+        'geoLocation',
+        'device',
+        'os',
+        'browser',
+        'destination',
+        'matchedRule',
+        'variant',
+        'isQrScan',
+        'isBot',
+        'botName'
+      ]);
+      expect(onClick.mock.calls[0][0]).toMatchObject({
+        referrer: 'Direct',
+        os: 'Windows',
+        destination: 'https://example.com/launch',
+        isBot: false
+      });
+
+      unsubscribe();
+      await visit('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0 Safari/537.36');
+      expect(onClick).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stream bot clicks when includeBots is set', async () => {
+      Url.findByShortcode.mockResolvedValue(urlDoc);
+      const result = await urlService.openLiveClicks('launch', mockUser, { includeBots: 'true' });
+
+      const onClick = jest.fn();
+      result.data.subscribe(onClick);
+      await visit('Twitterbot/1.0');
+
+      expect(onClick).toHaveBeenCalledWith(
+        expect.objectContaining({ isBot: true, botName: 'Twitterbot' })
+      );
+    });
+
+    it('should close open streams on shutdown', async () => {
+      Url.findByShortcode.mockResolvedValue(urlDoc);
+      const result = await urlService.openLiveClicks('launch', mockUser);
+
+      const onClick = jest.fn();
+      const onClose = jest.fn();
+      result.data.subscribe(onClick, onClose);
+      liveClicksService.closeAll();
+      await visit('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0 Safari/537.36');
+
+      expect(onClose).toHaveBeenCalledTimes(1);
+      expect(onClick).not.toHaveBeenCalled();
+    });
+
+    it('should warn when the configured event bus is unknown', () => {
+      jest.isolateModules(() => {
+        const isolatedConfig = require('../src/config/config');
+        const { logger: isolatedLogger } = require('../src/middleware/logger');
+        isolatedConfig.live.eventBus = 'redis';
+
+        const isolatedLiveClicks = require('../src/services/liveClicks');
+
+        expect(isolatedLiveClicks.bus.name).toBe('memory');
+        expect(isolatedLogger.warn).toHaveBeenCalledWith(
+          'Unknown event bus, using the in-process bus',
+          { type: 'redis' }
+        );
+      });
+    });
+
+    describe('stream tokens', () => {
+      const streamRequest = (token, shortcode = 'launch') => ({
+        query: { token },
+        params: { shortcode },
+        headers: {}
+      });
+
+      const streamResponse = () => {
+        const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+        return res;
+      };
+
+      it('should issue a token that opens only this link\'s live stream', async () => {
+        Url.findByShortcode.mockResolvedValue(urlDoc);
+        User.findByClientID.mockResolvedValue({ clientID: 'owner-client-id', isRegistered: true });
+
+        const result = await urlService.createLiveStreamToken('Launch', mockUser);
+
+        expect(result.success).toBe(true);
+        expect(result.data.expiresIn).toBe(60);
+        expect(result.data.streamUrl).toBe(
+          `${config.shortener.baseUrl}/shorturls/launch/live?token=${result.data.token}`
+        );
+        // Not accepted in place of an API token
+        expect(verifyToken(result.data.token)).toBeNull();
+
+        const req = streamRequest(result.data.token);
+        const next = jest.fn();
+        await authenticateStream(req, streamResponse(), next);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.user.clientID).toBe('owner-client-id');
+        expect(User.findByClientID).toHaveBeenCalledWith('owner-client-id');
+
+        const otherLink = streamResponse();
+        await authenticateStream(streamRequest(result.data.token, 'other'), otherLink, next);
+
+        expect(otherLink.status).toHaveBeenCalledWith(401);
+        expect(next).toHaveBeenCalledTimes(1);
+      });
+
+      it('should not take an API token in the query string', async () => {
+        const apiToken = generateToken({ email: 'owner@example.com', clientID: 'owner-client-id' });
+        const res = streamResponse();
+        const next = jest.fn();
+
+        await authenticateStream(streamRequest(apiToken), res, next);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+      });
+
+      it('should not issue tokens for URLs the caller does not own', async () => {
+        Url.findByShortcode.mockResolvedValue({ ...urlDoc, createdBy: 'someone-else' });
+
+        const result = await urlService.createLiveStreamToken('launch', mockUser);
+
+        expect(result.statusCode).toBe(403);
+      });
+    });
+
+    it('should not stream clicks of URLs the caller does not own', async () => {
+      Url.findByShortcode.mockResolvedValue({ ...urlDoc, createdBy: 'someone-else' });
+
+      const result = await urlService.openLiveClicks('launch', mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(403);
+    });
+  });
+
+  describe('getQrCode', () => {
+    const buildDoc = (overrides = {}) => ({
+      shortcode: 'poster',
+      shortLink: 'http://localhost:3000/poster',
+      originalUrl: 'https://example.com/event',
+      isExpired: false,
+      createdBy: 'owner-client-id',
+      ...overrides
+    });
+
+    it('should render an SVG encoding the short link with the scan marker', async () => {
+      Url.findByShortcode.mockResolvedValue(buildDoc());
+
+      const result = await urlService.getQrCode('poster', mockUser, { fg: '1d4ed8', size: '320' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.contentType).toBe('image/svg+xml');
+      expect(result.data.filename).toBe('poster-qr.svg');
+      expect(result.data.body).toContain('width="320"');
+      expect(result.data.body).toContain('#1d4ed8');
+    });
+
+    it('should render a PNG', async () => {
+      Url.findByShortcode.mockResolvedValue(buildDoc());
+
+      const result = await urlService.getQrCode('poster', mockUser, { format: 'png', ecc: 'h' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.contentType).toBe('image/png');
+      expect(result.data.body.subarray(1, 4).toString()).toBe('PNG');
+    });
+
+    it('should reject invalid options', async () => {
+      const result = await urlService.getQrCode('poster', mockUser, { size: '10', ecc: 'X' });
+
+      expect(result.success).toBe(false);
+      expect(result.details.map((detail) => detail.field)).toEqual(['size', 'ecc']);
+      expect(Url.findByShortcode).not.toHaveBeenCalled();
+    });
+
+    it('should refuse QR codes for URLs owned by someone else', async () => {
+      Url.findByShortcode.mockResolvedValue(buildDoc({ createdBy: 'someone-else' }));
+
+      const result = await urlService.getQrCode('poster', mockUser, {});
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(403);
+    });
+  });
+
+  describe('updateUrl', () => {
+    const buildDoc = (overrides = {}) => ({
+      shortcode: 'test-code',
+      shortLink: 'http://localhost:3000/test-code',
+      originalUrl: 'https://example.com/old',
+      expiresAt: new Date(Date.now() + 10 * 60 * 1000),
+      isActive: true,
+      isExpired: false,
+      createdBy: 'owner-client-id',
+      metadata: new Map([['campaign', 'spring']]),
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides
+    });
+
+    it('should update destination, expiry and metadata', async () => {
+      const mockUrlDoc = buildDoc();
+      Url.findOne.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.updateUrl('test-code', {
+        url: 'https://example.com/new/',
+        validity: 120,
+        metadata: { campaign: null, channel: 'email' }
+      }, mockUser);
+
+      expect(result.success).toBe(true);
+      expect(mockUrlDoc.originalUrl).toBe('https://example.com/new');
+      expect(mockUrlDoc.expiresAt.getTime()).toBeGreaterThan(Date.now() + 119 * 60 * 1000);
+      expect(result.data.metadata).toEqual({ channel: 'email' });
+      expect(mockUrlDoc.save).toHaveBeenCalled();
+    });
+
+    it('should keep variant clicks when the split is reweighted', async () => {
+      const mockUrlDoc = buildDoc({
+        variants: [
+          { name: 'control', url: 'https://example.com/a', weight: 50, clicks: 40 },
+          { name: 'old-hero', url: 'https://example.com/b', weight: 50, clicks: 35 }
+        ]
+      });
+      Url.findOne.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.updateUrl('test-code', {
+        variants: [
+          { name: 'control', url: 'https://example.com/a', weight: 80 },
+          { name: 'new-hero', url: 'https://example.com/c', weight: 20 }
+        ]
+      }, mockUser);
+
+      expect(result.success).toBe(true);
+      expect(mockUrlDoc.variants).toEqual([
+        { name: 'control', url: 'https://example.com/a', weight: 80, clicks: 40 },
+        { name: 'new-hero', url: 'https://example.com/c', weight: 20, clicks: 0 }
+      ]);
+    });
+
+    it('should reject duplicate variant names', async () => {
+      Url.findOne.mockResolvedValue(buildDoc());
+
+      const result = await urlService.updateUrl('test-code', {
+        variants: [
+          { name: 'control', url: 'https://example.com/a', weight: 1 },
+          { name: 'control', url: 'https://example.com/b', weight: 1 }
+        ]
+      }, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.details[0].message).toBe('Variant names must be unique');
+    });
+
+    it('should reactivate a deactivated URL', async () => {
+      const mockUrlDoc = buildDoc({ isActive: false });
+      Url.findOne.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.updateUrl('test-code', { isActive: true }, mockUser);
+
+      expect(result.success).toBe(true);
+      expect(mockUrlDoc.isActive).toBe(true);
+    });
+
+    it('should reject an edit that makes two links redirect to each other', async () => {
+      const mockUrlDoc = buildDoc();
+      const otherDoc = {
+        shortcode: 'split-test',
+        originalUrl: 'https://example.com/fallback',
+        isActive: true,
+        isExpired: false,
+        variants: [
+          { name: 'a', url: 'https://example.com/a', weight: 1 },
+          { name: 'b', url: `${config.shortener.baseUrl}/test-code`, weight: 1 }
+        ]
+      };
+      Url.findOne
+        .mockResolvedValueOnce(mockUrlDoc)
+        .mockResolvedValueOnce(otherDoc);
+
+      const result = await urlService.updateUrl('test-code', {
+        url: `${config.shortener.baseUrl}/split-test`
+      }, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(422);
+      expect(result.code).toBe('REDIRECT_LOOP');
+      expect(result.details.url).toBe(`${config.shortener.baseUrl}/test-code`);
+      expect(mockUrlDoc.save).not.toHaveBeenCalled();
+    });
+
+    it('should screen a URL again before reactivating it', async () => {
+      blockEntries([{ type: 'domain', value: 'example.com', reason: 'Spam' }]);
+      const mockUrlDoc = buildDoc({
+        isActive: false,
+        blockedAt: new Date(),
+        blockedReason: 'Spam'
+      });
+      Url.findOne.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.updateUrl('test-code', { isActive: true }, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(422);
+      expect(mockUrlDoc.save).not.toHaveBeenCalled();
+    });
+
+    it('should not reactivate an expired URL without a new validity', async () => {
+      const mockUrlDoc = buildDoc({ isActive: false, isExpired: true });
+      Url.findOne.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.updateUrl('test-code', { isActive: true }, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(400);
+      expect(mockUrlDoc.save).not.toHaveBeenCalled();
+    });
+
+    it('should reject validity beyond the configured maximum', async () => {
+      Url.findOne.mockResolvedValue(buildDoc());
+
+      const result = await urlService.updateUrl('test-code', { validity: 5000 }, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Validation failed');
+    });
+
+    it('should reject an empty update', async () => {
+      Url.findOne.mockResolvedValue(buildDoc());
+
+      const result = await urlService.updateUrl('test-code', {}, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Validation failed');
+    });
+
+    it('should refuse updates from non-owners', async () => {
+      const mockUrlDoc = buildDoc({ createdBy: 'someone-else' });
+      Url.findOne.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.updateUrl('test-code', { isActive: false }, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(403);
+      expect(mockUrlDoc.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('previewUrl', () => {
+    it('should return preview details without counting a click', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/very-long-url',
+        createdAt: new Date('2024-01-01T10:00:00.000Z'),
+        expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+        isExpired: false,
+        incrementClicks: jest.fn()
+      };
+
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.previewUrl('test-code');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({
+        shortLink: 'http://localhost:3000/test-code',
+        originalUrl: 'https://example.com/very-long-url',
+        createdAt: '2024-01-01T10:00:00.000Z',
+        expiry: '2030-01-01T00:00:00.000Z'
+      });
+      expect(mockUrlDoc.incrementClicks).not.toHaveBeenCalled();
+    });
+
+    it('should hide the destination of password-protected URLs', async () => {
+      Url.findByShortcode.mockResolvedValue({
+        originalUrl: 'https://example.com/internal-doc',
+        createdAt: new Date('2024-01-01T10:00:00.000Z'),
+        expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+        isExpired: false,
+        isPasswordProtected: true
+      });
+
+      const result = await urlService.previewUrl('secret-doc');
+
+      expect(result.success).toBe(true);
+      expect(result.data.originalUrl).toBeNull();
+    });
+
+    const previewRequest = (originalUrl, query) => ({
+      originalUrl,
+      query,
+      get: jest.fn().mockReturnValue(undefined),
+      headers: {},
+      connection: {},
+      socket: {},
+      ip: '127.0.0.1'
+    });
+
+    it('should show the preview for ?preview=1 without counting a click', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://example.com/very-long-url',
+        createdAt: new Date('2024-01-01T10:00:00.000Z'),
+        expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+        isExpired: false,
+        incrementClicks: jest.fn()
+      };
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.redirectToUrl(
+        'test-code',
+        previewRequest('/test-code?preview=1', { preview: '1' })
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.data.preview).toMatchObject({
+        shortLink: 'http://localhost:3000/test-code',
+        originalUrl: 'https://example.com/very-long-url'
+      });
+      expect(mockUrlDoc.incrementClicks).not.toHaveBeenCalled();
+    });
+
+    it('should pass ?preview=1 on to the destination of pass-through links', async () => {
+      const mockUrlDoc = {
+        originalUrl: 'https://cms.example.com/post/42',
+        createdAt: new Date('2024-01-01T10:00:00.000Z'),
+        expiresAt: new Date('2030-01-01T00:00:00.000Z'),
+        isExpired: false,
+        passThrough: true,
+        incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 })
+      };
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.redirectToUrl(
+        'draft-post',
+        previewRequest('/draft-post?preview=true', { preview: 'true' })
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.data.preview).toBeUndefined();
+      expect(result.data.destinationUrl).toBe('https://cms.example.com/post/42?preview=true');
+      expect(mockUrlDoc.incrementClicks).toHaveBeenCalled();
+    });
+
+    it('should return 404 for non-existent shortcode', async () => {
+      Url.findByShortcode.mockResolvedValue(null);
+
+      const result = await urlService.previewUrl('non-existent');
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(404);
+    });
+  });
+
+  describe('password-protected URLs', () => {
+    const mockReq = {
+      get: jest.fn().mockReturnValue(undefined),
+      headers: {},
+      connection: {},
+      socket: {},
+      ip: '127.0.0.1'
+    };
+
+    const buildDoc = (overrides = {}) => ({
+      originalUrl: 'https://example.com/internal-doc',
+      isExpired: false,
+      isPasswordProtected: true,
+      comparePassword: jest.fn().mockResolvedValue(false),
+      incrementClicks: jest.fn().mockResolvedValue({ clickCount: 1 }),
+      ...overrides
+    });
+
+    beforeEach(() => {
+      urlService.passwordAttempts.resetPrefix('secret-doc:');
+    });
+
+    it('should ask for the password instead of redirecting', async () => {
+      const mockUrlDoc = buildDoc();
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.redirectToUrl('secret-doc', mockReq);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ passwordRequired: true, shortcode: 'secret-doc' });
+      expect(mockUrlDoc.incrementClicks).not.toHaveBeenCalled();
+    });
+
+    it('should count the click and redirect with the correct password', async () => {
+      const mockUrlDoc = buildDoc({
+        comparePassword: jest.fn().mockResolvedValue(true)
+      });
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.verifyPasswordAndRedirect('secret-doc', 'letmein', mockReq);
+
+      expect(result.success).toBe(true);
+      expect(result.data.originalUrl).toBe('https://example.com/internal-doc');
+      expect(mockUrlDoc.comparePassword).toHaveBeenCalledWith('letmein');
+      expect(mockUrlDoc.incrementClicks).toHaveBeenCalled();
+    });
+
+    it('should reject an incorrect password without counting a click', async () => {
+      const mockUrlDoc = buildDoc();
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.verifyPasswordAndRedirect('secret-doc', 'wrong', mockReq);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(401);
+      expect(result.passwordRequired).toBe(true);
+      expect(mockUrlDoc.incrementClicks).not.toHaveBeenCalled();
+    });
+
+    it('should rate-limit repeated failures per link', async () => {
+      const mockUrlDoc = buildDoc();
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await urlService.verifyPasswordAndRedirect('secret-doc', 'wrong', mockReq);
+      }
+      mockUrlDoc.comparePassword.mockResolvedValue(true);
+
+      const result = await urlService.verifyPasswordAndRedirect('secret-doc', 'letmein', mockReq);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(429);
+      expect(mockUrlDoc.comparePassword).toHaveBeenCalledTimes(5);
+    });
+
+    it('should not lock other clients out of the link', async () => {
+      const mockUrlDoc = buildDoc();
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      for (let attempt = 0; attempt < 6; attempt++) {
+        await urlService.verifyPasswordAndRedirect('secret-doc', 'wrong', { ...mockReq, ip: '203.0.113.9' });
+      }
+      mockUrlDoc.comparePassword.mockResolvedValue(true);
+
+      const blocked = await urlService.verifyPasswordAndRedirect('secret-doc', 'letmein', { ...mockReq, ip: '203.0.113.9' });
+      const result = await urlService.verifyPasswordAndRedirect('secret-doc', 'letmein', mockReq);
+
+      expect(blocked.statusCode).toBe(429);
+      expect(result.success).toBe(true);
+      expect(mockUrlDoc.incrementClicks).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse a password post to a link without a password', async () => {
+      const mockUrlDoc = buildDoc({ isPasswordProtected: false });
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.verifyPasswordAndRedirect('secret-doc', 'anything', mockReq);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(405);
+      expect(mockUrlDoc.incrementClicks).not.toHaveBeenCalled();
+    });
+
+    it('should rate-limit wrong guesses made in parallel', async () => {
+      // A slow comparison, like bcrypt, leaves all guesses in flight together
+      const mockUrlDoc = buildDoc({
+        comparePassword: jest.fn(() => new Promise((resolve) => setTimeout(() => resolve(false), 10)))
+      });
+      Url.findByShortcode.mockResolvedValue(mockUrlDoc);
+
+      const results = await Promise.all(
+        Array.from({ length: 12 }, (_, attempt) =>
+          urlService.verifyPasswordAndRedirect('secret-doc', `guess-${attempt}`, mockReq)
+        )
+      );
+
+      expect(mockUrlDoc.comparePassword).toHaveBeenCalledTimes(5);
+      expect(results.filter((result) => result.statusCode === 401)).toHaveLength(5);
+      expect(results.filter((result) => result.statusCode === 429)).toHaveLength(7);
+    });
+
+    it('should not log link passwords when validation fails', async () => {
+      await urlService.createShortUrl({ url: 'not-a-url', password: 'hunter2-secret' }, mockUser);
+      validateUrlUpdate({ password: 'hunter2-secret', validity: -1 });
+
+      expect(logger.warn).toHaveBeenCalledWith('URL validation failed', expect.objectContaining({
+        data: { url: 'not-a-url', password: '[redacted]' }
+      }));
+      expect(logger.warn).toHaveBeenCalledWith('URL update validation failed', expect.anything());
+      expect(JSON.stringify(logger.warn.mock.calls)).not.toContain('hunter2-secret');
+    });
+  });
+
+  describe('deleteUrl', () => {
+    it('should delete existing URL', async () => {
+      const mockUrlDoc = {
+        shortcode: 'test-code',
+        createdBy: 'owner-client-id',
+        deactivate: jest.fn().mockResolvedValue(true)
+      };
+
+      Url.findOne.mockResolvedValue(mockUrlDoc);
+
+      const emit = jest.spyOn(webhookService, 'emit').mockResolvedValue();
+
+      const result = await urlService.deleteUrl('test-code', mockUser);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('URL deleted successfully');
+      expect(mockUrlDoc.deactivate).toHaveBeenCalled();
+      expect(emit).toHaveBeenCalledWith('link.deleted', mockUrlDoc, {
+        deletedAt: expect.any(String)
+      });
+      emit.mockRestore();
+    });
+
+    it('should refuse to delete a URL owned by another user', async () => {
+      const mockUrlDoc = {
+        shortcode: 'test-code',
+        createdBy: 'someone-else',
+        deactivate: jest.fn().mockResolvedValue(true)
+      };
+
+      Url.findOne.mockResolvedValue(mockUrlDoc);
+
+      const result = await urlService.deleteUrl('test-code', mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(403);
+      expect(mockUrlDoc.deactivate).not.toHaveBeenCalled();
+    });
+
+    it('should return error for non-existent URL', async () => {
+      Url.findOne.mockResolvedValue(null);
+
+      const result = await urlService.deleteUrl('non-existent', mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('URL not found');
+    });
+
+    it('should reject invalid shortcode format', async () => {
+      const result = await urlService.deleteUrl('invalid@code', mockUser);
 
       expect(result.success).toBe(false);
       expect(result.error).toBe('Invalid shortcode format');
     });
   });
 
+  describe('migrateSystemUrls', () => {
+    it('should assign system URLs to the given owner', async () => {
+      Url.assignSystemUrls.mockResolvedValue({ modifiedCount: 3 });
+
+      const result = await urlService.migrateSystemUrls('owner-client-id');
+
+      expect(result).toBe(3);
+      expect(Url.assignSystemUrls).toHaveBeenCalledWith('owner-client-id', null);
+    });
+  });
+
   describe('getHealthStatus', () => {
     it('should return healthy status when MongoDB is connected', async () => {
       const mockMongoService = {
@@ -300,6 +2662,80 @@ describe('URL Service', () => {
     });
   });
 
+  describe('disableBlockedUrls', () => {
+    it('should disable live URLs with a blocked destination', async () => {
+      blockEntries([{ type: 'domain', value: 'phish.example', reason: 'Phishing' }]);
+      const liveUrls = [
+        { _id: 'a', shortcode: 'fine', originalUrl: 'https://example.com' },
+        {
+          _id: 'b',
+          shortcode: 'geo-phish',
+          originalUrl: 'https://example.com',
+          geoRules: [{ name: 'in', countries: ['IN'], url: 'https://phish.example/in' }]
+        }
+      ];
+      Url.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({ cursor: () => liveUrls })
+      });
+      Url.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await urlService.disableBlockedUrls();
+
+      expect(result).toBe(1);
+      expect(Url.updateOne).toHaveBeenCalledTimes(1);
+      expect(Url.updateOne).toHaveBeenCalledWith(
+        { _id: 'b' },
+        {
+          $set: expect.objectContaining({
+            isActive: false,
+            blockedAt: expect.any(Date),
+            blockedReason: 'Phishing'
+          })
+        }
+      );
+    });
+
+    it('should disable newly flagged links when the reputation file changes', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reputation-'));
+      const hostsFile = path.join(dir, 'hosts.txt');
+      fs.writeFileSync(hostsFile, 'malware.example malware\n');
+      screeningService.setReputationProvider(new FileReputationProvider(hostsFile));
+
+      const liveUrls = [
+        { _id: 'a', shortcode: 'fine', originalUrl: 'https://example.com' },
+        { _id: 'b', shortcode: 'later-bad', originalUrl: 'https://cdn.phish.example/login' }
+      ];
+      Url.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({ cursor: () => liveUrls })
+      });
+      Url.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      const rescan = jest.fn(() => urlService.disableBlockedUrls());
+
+      try {
+        expect(await screeningService.checkReputation(rescan)).toBe(true);
+        expect(Url.updateOne).not.toHaveBeenCalled();
+
+        // Unchanged data is not screened again
+        expect(await screeningService.checkReputation(rescan)).toBe(false);
+        expect(rescan).toHaveBeenCalledTimes(1);
+
+        fs.writeFileSync(hostsFile, 'malware.example malware\nphish.example phishing\n');
+        const later = new Date(Date.now() + 60 * 1000);
+        fs.utimesSync(hostsFile, later, later);
+
+        expect(await screeningService.checkReputation(rescan)).toBe(true);
+        expect(Url.updateOne).toHaveBeenCalledTimes(1);
+        expect(Url.updateOne).toHaveBeenCalledWith(
+          { _id: 'b' },
+          { $set: expect.objectContaining({ isActive: false, blockedReason: 'Host listed as phishing' }) }
+        );
+      } finally {
+        screeningService.setReputationProvider(null);
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
   describe('cleanupExpiredUrls', () => {
     it('should cleanup expired URLs', async () => {
       const mockExpiredUrls = [
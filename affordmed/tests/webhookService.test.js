@@ -0,0 +1,456 @@
+const http = require('http');
+const crypto = require('crypto');
+const webhookService = require('../src/services/webhookService');
+const WebhookSubscription = require('../src/models/WebhookSubscription');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const Url = require('../src/models/Url');
+const config = require('../src/config/config');
+
+// Mock MongoDB models; deliveries go to a real HTTP receiver
+jest.mock('../src/models/WebhookSubscription');
+jest.mock('../src/models/WebhookDelivery');
+jest.mock('../src/models/Url');
+jest.mock('../src/middleware/logger');
+
+const lean = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+
+describe('Webhook Service', () => {
+  const mockUser = { clientID: 'owner-client-id' };
+  const deliveryId = '665f1c2e8b3a4d0012345678';
+  const webhookId = '665f1c2e8b3a4d0087654321';
+  const urlDoc = {
+    _id: 'url-id',
+    shortcode: 'launch',
+    originalUrl: 'https://example.com/launch',
+    createdBy: 'owner-client-id',
+    expiresAt: new Date('2026-01-01T00:00:00.000Z')
+  };
+
+  let receiver;
+  let receiverUrl;
+  let received;
+  let responseStatus;
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({ method: req.method, path: req.url, headers: req.headers, body });
+        res.statusCode = responseStatus;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  afterAll(() => new Promise((resolve) => receiver.close(resolve)));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    received = [];
+    responseStatus = 200;
+    // The receiver listens on loopback
+    config.webhooks.allowPrivateTargets = true;
+    webhookService.subscriptions.clear();
+    WebhookDelivery.create.mockImplementation(async () => ({ _id: deliveryId, createdAt: new Date() }));
+    WebhookDelivery.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  const subscription = (overrides = {}) => ({
+    _id: webhookId,
+    createdBy: 'owner-client-id',
+    url: receiverUrl,
+    events: ['link.clicked', 'link.click_threshold', 'link.expired', 'link.deleted'],
+    shortcodes: [],
+    clickThresholds: [],
+    secret: 'whsec_test-secret',
+    isActive: true,
+    ...overrides
+  });
+
+  const subscribe = (...subscriptions) => {
+    WebhookSubscription.find.mockReturnValue(lean(subscriptions));
+  };
+
+  // The $set of the last recorded delivery attempt
+  const lastAttempt = () => WebhookDelivery.updateOne.mock.calls.at(-1)[1].$set;
+
+  const storedDelivery = (overrides = {}) => ({
+    _id: deliveryId,
+    subscription: webhookId,
+    createdBy: 'owner-client-id',
+    event: 'link.deleted',
+    payload: { id: 'event-id', event: 'link.deleted', data: { link: { shortcode: 'launch' } } },
+    status: 'pending',
+    attempts: 0,
+    ...overrides
+  });
+
+  describe('emit', () => {
+    it('should POST an HMAC-SHA256-signed JSON payload', async () => {
+      subscribe(subscription());
+
+      await webhookService.emit('link.deleted', urlDoc, { deletedAt: '2026-10-19T12:00:00.000Z' });
+
+      expect(received).toHaveLength(1);
+      const [{ method, path, headers, body }] = received;
+      expect(method).toBe('POST');
+      expect(path).toBe('/hooks');
+      expect(headers['content-type']).toBe('application/json');
+      expect(headers['x-webhook-event']).toBe('link.deleted');
+
+      const signature = crypto
+        .createHmac('sha256', 'whsec_test-secret')
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+      expect(headers['x-webhook-signature']).toBe(`sha256=${signature}`);
+
+      const payload = JSON.parse(body);
+      expect(payload).toMatchObject({
+        id: headers['x-webhook-id'],
+        event: 'link.deleted',
+        data: {
+          link: {
+            shortcode: 'launch',
+            shortLink: `${config.shortener.baseUrl}/launch`,
+            originalUrl: 'https://example.com/launch'
+          },
+          deletedAt: '2026-10-19T12:00:00.000Z'
+        }
+      });
+
+      expect(WebhookDelivery.create).toHaveBeenCalledWith(
+        expect.objectContaining({ subscription: webhookId, event: 'link.deleted', payload })
+      );
+      expect(lastAttempt()).toMatchObject({ status: 'delivered', attempts: 1, lastStatusCode: 200, lastError: null });
+    });
+
+    it('should only send to subscriptions for the event and the link', async () => {
+      subscribe(
+        subscription({ _id: 'clicks-only', events: ['link.clicked'] }),
+        subscription({ _id: 'other-link', shortcodes: ['other'] }),
+        subscription({ _id: 'this-link', shortcodes: ['launch'] })
+      );
+
+      await webhookService.emit('link.deleted', urlDoc);
+
+      expect(received).toHaveLength(1);
+      expect(WebhookDelivery.create).toHaveBeenCalledTimes(1);
+      expect(WebhookDelivery.create).toHaveBeenCalledWith(expect.objectContaining({ subscription: 'this-link' }));
+    });
+
+    it('should send link.click_threshold only at a configured click count', async () => {
+      subscribe(subscription({ events: ['link.click_threshold'], clickThresholds: [10, 100] }));
+
+      await webhookService.notifyClick(urlDoc, { referrer: 'Direct' }, 99);
+      expect(received).toHaveLength(0);
+
+      await webhookService.notifyClick(urlDoc, { referrer: 'Direct' }, 100);
+      expect(received).toHaveLength(1);
+      expect(JSON.parse(received[0].body)).toMatchObject({
+        event: 'link.click_threshold',
+        data: { threshold: 100, clickCount: 100 }
+      });
+    });
+
+    it('should send link.clicked with the click', async () => {
+      subscribe(subscription({ events: ['link.clicked'] }));
+
+      await webhookService.notifyClick(urlDoc, { referrer: 'Direct', isBot: false }, 1);
+
+      expect(received).toHaveLength(1);
+      expect(JSON.parse(received[0].body).data.click).toEqual({ referrer: 'Direct', isBot: false });
+    });
+  });
+
+  describe('retries', () => {
+    it('should retry a failed delivery with exponential backoff', async () => {
+      const { retryBaseMs } = config.webhooks;
+      responseStatus = 500;
+      subscribe(subscription());
+
+      let before = Date.now();
+      await webhookService.emit('link.deleted', urlDoc);
+
+      expect(lastAttempt()).toMatchObject({
+        status: 'pending',
+        attempts: 1,
+        lastStatusCode: 500,
+        lastError: 'Receiver responded with HTTP 500'
+      });
+      expect(lastAttempt().nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(retryBaseMs);
+      expect(lastAttempt().nextAttemptAt.getTime() - before).toBeLessThan(retryBaseMs + 5000);
+
+      // The poller claims the due delivery and tries again
+      WebhookDelivery.findOneAndUpdate
+        .mockReturnValueOnce(lean(storedDelivery({ attempts: 1 })))
+        .mockReturnValueOnce(lean(null));
+      WebhookSubscription.findById.mockReturnValue(lean(subscription()));
+
+      before = Date.now();
+      const processed = await webhookService.processDueDeliveries();
+
+      expect(processed).toBe(1);
+      expect(received).toHaveLength(2);
+      expect(WebhookDelivery.findOneAndUpdate).toHaveBeenCalledWith(
+        { status: 'pending', nextAttemptAt: { $lte: expect.any(Date) } },
+        { $set: { nextAttemptAt: expect.any(Date) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      expect(lastAttempt()).toMatchObject({ status: 'pending', attempts: 2 });
+      expect(lastAttempt().nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(2 * retryBaseMs);
+      expect(lastAttempt().nextAttemptAt.getTime() - before).toBeLessThan(2 * retryBaseMs + 5000);
+    });
+
+    it('should cap the delay between attempts', () => {
+      expect(webhookService.retryDelay(1)).toBe(config.webhooks.retryBaseMs);
+      expect(webhookService.retryDelay(3)).toBe(4 * config.webhooks.retryBaseMs);
+      expect(webhookService.retryDelay(30)).toBe(config.webhooks.retryMaxMs);
+    });
+
+    it('should retry when the receiver cannot be reached', async () => {
+      const closed = http.createServer();
+      await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+      const { port } = closed.address();
+      await new Promise((resolve) => closed.close(resolve));
+      subscribe(subscription({ url: `http://127.0.0.1:${port}/hooks` }));
+
+      await webhookService.emit('link.deleted', urlDoc);
+
+      expect(lastAttempt()).toMatchObject({ status: 'pending', attempts: 1, lastStatusCode: null });
+      expect(lastAttempt().lastError).toMatch(/ECONNREFUSED/);
+    });
+
+    it('should dead-letter a delivery once it is out of attempts', async () => {
+      responseStatus = 503;
+      WebhookDelivery.findOneAndUpdate
+        .mockReturnValueOnce(lean(storedDelivery({ attempts: config.webhooks.maxAttempts - 1 })))
+        .mockReturnValueOnce(lean(null));
+      WebhookSubscription.findById.mockReturnValue(lean(subscription()));
+
+      await webhookService.processDueDeliveries();
+
+      expect(received).toHaveLength(1);
+      expect(lastAttempt()).toMatchObject({
+        status: 'dead',
+        attempts: config.webhooks.maxAttempts,
+        lastStatusCode: 503
+      });
+      expect(lastAttempt()).not.toHaveProperty('nextAttemptAt');
+    });
+
+    it('should dead-letter a delivery whose webhook was deleted', async () => {
+      WebhookDelivery.findOneAndUpdate
+        .mockReturnValueOnce(lean(storedDelivery({ attempts: 1 })))
+        .mockReturnValueOnce(lean(null));
+      WebhookSubscription.findById.mockReturnValue(lean(null));
+
+      await webhookService.processDueDeliveries();
+
+      expect(received).toHaveLength(0);
+      expect(lastAttempt()).toMatchObject({ status: 'dead', lastError: 'Webhook no longer exists' });
+    });
+
+    it('should refuse private targets unless they are allowed', async () => {
+      config.webhooks.allowPrivateTargets = false;
+      subscribe(subscription());
+
+      await webhookService.emit('link.deleted', urlDoc);
+
+      expect(received).toHaveLength(0);
+      expect(lastAttempt()).toMatchObject({ status: 'dead', attempts: 1 });
+      expect(lastAttempt().lastError).toMatch(/private address/);
+    });
+  });
+
+  describe('redeliver', () => {
+    it('should send a dead-lettered delivery again with its original payload', async () => {
+      const dead = storedDelivery({ status: 'dead', attempts: config.webhooks.maxAttempts });
+      WebhookDelivery.findOne.mockReturnValue(lean(dead));
+      WebhookSubscription.findOne.mockReturnValue(lean(subscription()));
+      WebhookDelivery.findOneAndUpdate.mockReturnValue(lean({ ...dead, status: 'pending', attempts: 0 }));
+
+      const result = await webhookService.redeliver(deliveryId, mockUser);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ id: deliveryId, status: 'delivered', attempts: 1 });
+      expect(WebhookDelivery.findOne).toHaveBeenCalledWith({ _id: deliveryId, createdBy: 'owner-client-id' });
+      expect(WebhookDelivery.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: deliveryId, status: { $ne: 'pending' } },
+        { $set: { status: 'pending', attempts: 0, deliveredAt: null, nextAttemptAt: expect.any(Date) } },
+        { new: true }
+      );
+      expect(received).toHaveLength(1);
+      expect(JSON.parse(received[0].body)).toEqual(dead.payload);
+      expect(received[0].headers['x-webhook-id']).toBe('event-id');
+    });
+
+    it('should refuse to redeliver a delivery that is still pending', async () => {
+      WebhookDelivery.findOne.mockReturnValue(lean(storedDelivery()));
+      WebhookSubscription.findOne.mockReturnValue(lean(subscription()));
+      WebhookDelivery.findOneAndUpdate.mockReturnValue(lean(null));
+
+      const result = await webhookService.redeliver(deliveryId, mockUser);
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(409);
+      expect(received).toHaveLength(0);
+    });
+
+    it('should not find deliveries of other users', async () => {
+      WebhookDelivery.findOne.mockReturnValue(lean(null));
+
+      expect((await webhookService.redeliver(deliveryId, mockUser)).statusCode).toBe(404);
+      expect((await webhookService.redeliver('not-an-id', mockUser)).statusCode).toBe(404);
+      expect(WebhookDelivery.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dead letters', () => {
+    it('should list the user\'s dead-lettered deliveries', async () => {
+      const limit = jest.fn().mockReturnValue(lean([storedDelivery({ status: 'dead', attempts: 8 })]));
+      const sort = jest.fn().mockReturnValue({ limit });
+      WebhookDelivery.find.mockReturnValue({ sort });
+
+      const result = await webhookService.listDeadLetters(mockUser, { limit: '5' });
+
+      expect(result.success).toBe(true);
+      expect(WebhookDelivery.find).toHaveBeenCalledWith({ createdBy: 'owner-client-id', status: 'dead' });
+      expect(sort).toHaveBeenCalledWith({ updatedAt: -1 });
+      expect(limit).toHaveBeenCalledWith(5);
+      expect(result.data.deliveries[0]).toMatchObject({
+        id: deliveryId,
+        webhookId,
+        status: 'dead',
+        nextAttemptAt: null
+      });
+    });
+  });
+
+  describe('subscriptions', () => {
+    it('should return the signing secret only when the webhook is created', async () => {
+      WebhookSubscription.countDocuments.mockResolvedValue(0);
+      WebhookSubscription.create.mockImplementation(async (doc) => ({ _id: webhookId, isActive: true, ...doc }));
+
+      const result = await webhookService.createSubscription(
+        { url: 'https://hooks.example.com/links', events: ['link.clicked'] },
+        mockUser
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.data.secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+      expect(WebhookSubscription.create).toHaveBeenCalledWith(
+        expect.objectContaining({ createdBy: 'owner-client-id', secret: result.data.secret, shortcodes: [] })
+      );
+
+      const stored = await WebhookSubscription.create.mock.results[0].value;
+      WebhookSubscription.find.mockReturnValue({ sort: jest.fn().mockReturnValue(lean([stored])) });
+      const list = await webhookService.listSubscriptions(mockUser);
+
+      expect(list.data.webhooks).toHaveLength(1);
+      expect(list.data.webhooks[0].url).toBe('https://hooks.example.com/links');
+      expect(list.data.webhooks[0]).not.toHaveProperty('secret');
+    });
+
+    it('should require click thresholds for link.click_threshold', async () => {
+      const result = await webhookService.createSubscription(
+        { url: 'https://hooks.example.com/links', events: ['link.click_threshold'] },
+        mockUser
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Validation failed');
+      expect(result.details[0].field).toBe('clickThresholds');
+      expect(WebhookSubscription.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse webhook URLs on private addresses', async () => {
+      config.webhooks.allowPrivateTargets = false;
+
+      const result = await webhookService.createSubscription(
+        { url: 'http://169.254.169.254/latest', events: ['link.deleted'] },
+        mockUser
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Webhook URL not allowed');
+      expect(WebhookSubscription.create).not.toHaveBeenCalled();
+    });
+
+    it('should limit the number of webhooks per user', async () => {
+      WebhookSubscription.countDocuments.mockResolvedValue(config.webhooks.maxSubscriptions);
+
+      const result = await webhookService.createSubscription(
+        { url: 'https://hooks.example.com/links', events: ['link.deleted'] },
+        mockUser
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.statusCode).toBe(409);
+    });
+
+    it('should delete a webhook with its deliveries', async () => {
+      WebhookSubscription.findOne.mockReturnValue(lean(subscription()));
+
+      const result = await webhookService.deleteSubscription(webhookId, mockUser);
+
+      expect(result.success).toBe(true);
+      expect(WebhookSubscription.findOne).toHaveBeenCalledWith({ _id: webhookId, createdBy: 'owner-client-id' });
+      expect(WebhookSubscription.deleteOne).toHaveBeenCalledWith({ _id: webhookId });
+      expect(WebhookDelivery.deleteMany).toHaveBeenCalledWith({ subscription: webhookId });
+    });
+  });
+
+  describe('notifyExpiredLinks', () => {
+    const subscribedAt = new Date('2025-06-01T00:00:00.000Z');
+
+    beforeEach(() => {
+      WebhookSubscription.find.mockImplementation((filter) =>
+        filter.events
+          ? { select: jest.fn().mockReturnValue(lean([{ createdBy: 'owner-client-id', createdAt: subscribedAt }])) }
+          : lean([subscription({ events: ['link.expired'] })])
+      );
+      Url.find.mockReturnValue({ limit: jest.fn().mockReturnValue(lean([urlDoc])) });
+    });
+
+    it('should send link.expired once per link', async () => {
+      Url.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+
+      expect(await webhookService.notifyExpiredLinks()).toBe(1);
+      expect(Url.find).toHaveBeenCalledWith({
+        $or: [{ createdBy: 'owner-client-id', expiresAt: { $gt: subscribedAt, $lte: expect.any(Date) } }],
+        expiryNotifiedAt: null
+      });
+      expect(Url.updateOne).toHaveBeenCalledWith(
+        { _id: 'url-id', expiryNotifiedAt: null },
+        { $set: { expiryNotifiedAt: expect.any(Date) } }
+      );
+      expect(received).toHaveLength(1);
+      expect(JSON.parse(received[0].body)).toMatchObject({
+        event: 'link.expired',
+        data: { link: { shortcode: 'launch' }, expiredAt: '2026-01-01T00:00:00.000Z' }
+      });
+
+      // Already claimed, e.g. by another instance
+      Url.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+      expect(await webhookService.notifyExpiredLinks()).toBe(0);
+      expect(received).toHaveLength(1);
+    });
+
+    it('should send link.expired for links deactivated before they expired', async () => {
+      Url.find.mockReturnValue({ limit: jest.fn().mockReturnValue(lean([{ ...urlDoc, isActive: false }])) });
+      Url.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+
+      expect(await webhookService.notifyExpiredLinks()).toBe(1);
+      expect(Url.find.mock.calls[0][0]).not.toHaveProperty('isActive');
+      expect(JSON.parse(received[0].body)).toMatchObject({
+        event: 'link.expired',
+        data: { link: { shortcode: 'launch' }, expiredAt: '2026-01-01T00:00:00.000Z' }
+      });
+    });
+  });
+});